@@ -6,14 +6,62 @@
  *
  * Usage:
  *   node scripts/compile_task_graph.js --plan artifacts/03-plan.md --issues artifacts/06-oracle/plan/issues.json --out artifacts/04-task-graph.json
+ *   node scripts/compile_task_graph.js --plan "artifacts/plan/sprint-*.md" --out artifacts/04-task-graph.json
  *
  * Options:
+ *   --plan <path|glob>     Plan markdown; repeat it or use a glob (* ? **) for multi-file
+ *                          plans. Files are read in order (globs sorted naturally) and a
+ *                          line "<!-- include: path -->" inlines another file, relative to
+ *                          the file containing it. Blocked by references resolve across files.
  *   --infer, --infer-deps  Enable tag-based dependency inference (opt-in, not default)
+ *   --deps-config <path>   Dependency rules for --infer (default: .appbuilder-deps.json if present)
+ *   --serialize-conflicts  Order independent tasks whose paths overlap (serializeAfter edges)
+ *   --break-cycles         Remove the smallest set of blockedBy edges that breaks every cycle
+ *                          (without it the set is only suggested)
+ *   --auto-resolve         Point Blocked by references that match no ID or subject at the
+ *                          closest subject when it is a clear, high-confidence match
+ *                          (logged in meta.autoResolved); otherwise warnings suggest candidates
+ *   --explain-deps         Print (and store in meta) the rule behind every inferred dependency
+ *   --link-issues [dependency|subtask]
+ *                          Link Oracle issue tasks to the plan seeds they are about (by
+ *                          files, tags, lens and subject). dependency (default): matching
+ *                          seeds wait for the issue; subtask: the issue is nested under the
+ *                          best match. Blocker issues hold back every task in those sprints
  *   --include-nits         Convert "nit" severity issues into tasks (default: skip nits)
+ *   --schema <v1|v2>       Output format (default: v1)
+ *                            v1: flat tasks[] with blockedBy (what ralph.sh reads today)
+ *                            v2: phases[] as documented in docs/TASK_GRAPH_SCHEMA.md
+ *   --project <name>       v2 only: project name (default: current directory name)
+ *   --repo <owner/name>    v2 only: GitHub repo
+ *   --model <name>         v2 only: default AI model
+ *   --strict               Fail (and write nothing) if there are any warnings
+ *   --id-scheme <hash|sprint>
+ *                          How to ID seeds without an explicit "ID:" line (default: hash)
+ *                            hash:   sha1 of tags + subject (changes when the subject is reworded)
+ *                            sprint: S{sprint}-T{n} by position in the sprint (T{n} outside sprints);
+ *                                    seeds keep the number the --id-map file or --merge-with
+ *                                    graph gave them (reworded ones matched by subject),
+ *                                    new seeds get the next free number
+ *   --merge-with <path>    Existing graph (v1 or v2) to carry runtime progress over from.
+ *                          Tasks are matched by ID, then by subject similarity; status,
+ *                          owner, timestamps and errors are kept; tasks no longer in the
+ *                          inputs are kept with status "obsolete"
+ *   --id-map <path>        Where to write the old (hash) -> new ID mapping for --id-scheme sprint
+ *                          (default: task-id-map.json next to --out)
+ *
+ *   --watch                Recompile whenever the plan files or issues change, printing
+ *                          only what changed since the previous compile
+ *   --debounce <ms>        --watch: wait this long after the last change (default: 300)
+ *
+ * The graph is checked with validate_task_graph.js before it is written;
+ * schema errors always abort the compile.
  */
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+const { validateTaskGraph, formatIssue } = require("./validate_task_graph");
+const { countReadiness } = require("./task_readiness");
 
 function die(msg) {
   console.error("Error:", msg);
@@ -26,18 +74,258 @@ function arg(name) {
   return process.argv[idx + 1] || null;
 }
 
+// Every value of an option that may be repeated (--plan a.md --plan b.md)
+function argList(name) {
+  const values = [];
+  process.argv.forEach((a, idx) => {
+    if (a === name && process.argv[idx + 1]) values.push(process.argv[idx + 1]);
+  });
+  return values;
+}
+
 function hasFlag(name) {
   return process.argv.includes(name);
 }
 
+const SCHEMA_VERSIONS = ["v1", "v2"];
+const ID_SCHEMES = ["hash", "sprint"];
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Flat (v1) status -> phased (v2) status, see docs/TASK_GRAPH_SCHEMA.md
+const V2_STATUS = {
+  pending: "pending",
+  blocked: "blocked",
+  in_progress: "running",
+  completed: "complete",
+  failed: "error",
+  obsolete: "obsolete"
+};
+
 function shaId(s) {
   return crypto.createHash("sha1").update(s).digest("hex").slice(0, 10);
 }
 
-function readText(p) {
-  if (!p) return "";
-  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
-  return fs.readFileSync(p, "utf8");
+function seedHashId(tags, subject) {
+  return shaId(`seed:${tags.join(",")}:${subject}`);
+}
+
+/**
+ * Numbers the seeds parsePlanSeeds() left without an ID under --id-scheme
+ * sprint. A seed whose hash ID is in previousIds keeps that ID. A reworded
+ * seed takes the previous ID no seed kept whose subject (previousSubjects) is
+ * most similar, by the same measure and threshold as mergeWithExisting().
+ * The rest take their position in the sprint if no earlier compile handed
+ * that number out to a seed still in the plan, or else the next number after
+ * every one the sprint has used. Inserting, moving or rewording a seed
+ * therefore never renumbers the others.
+ */
+function assignSprintIds(tasks, unnumbered, previousIds, previousSubjects = new Map()) {
+  const prefixOf = (sprint) => sprint ? `S${sprint}-T` : "T";
+  const numberOf = (id, prefix) => {
+    if (!id.startsWith(prefix)) return null;
+    const n = id.slice(prefix.length);
+    return /^\d+$/.test(n) ? Number(n) : null;
+  };
+  const taken = new Set(tasks.filter(t => t.id).map(t => String(t.id)));
+  const present = new Set(unnumbered.map(s => s.hashId));
+  // IDs that belong to a seed in this compile, whether or not it keeps it
+  const claimed = new Set([...previousIds].filter(([hash]) => present.has(hash)).map(([, id]) => id));
+
+  const pending = [];
+  for (const seed of unnumbered) {
+    const previous = previousIds.get(seed.hashId);
+    if (previous && numberOf(previous, prefixOf(seed.sprint)) !== null && !taken.has(previous)) {
+      tasks[seed.index].id = previous;
+      taken.add(previous);
+    } else {
+      pending.push(seed);
+    }
+  }
+
+  // Best pairs first, so two reworded seeds cannot swap numbers
+  const pairs = [];
+  for (const seed of pending) {
+    for (const [id, subject] of previousSubjects) {
+      if (taken.has(id) || claimed.has(id) || numberOf(id, prefixOf(seed.sprint)) === null) continue;
+      const score = subjectSimilarity(tasks[seed.index].subject, subject);
+      if (score >= SUBJECT_MATCH_THRESHOLD) pairs.push({ seed, id, score });
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score);
+  const reworded = new Set();
+  for (const { seed, id } of pairs) {
+    if (reworded.has(seed) || taken.has(id)) continue;
+    tasks[seed.index].id = id;
+    taken.add(id);
+    reworded.add(seed);
+  }
+
+  const highest = new Map();
+  const highestIn = (sprint) => {
+    const prefix = prefixOf(sprint);
+    if (!highest.has(prefix)) {
+      const numbers = [...taken, ...previousIds.values()].map(id => numberOf(id, prefix)).filter(n => n !== null);
+      highest.set(prefix, Math.max(0, ...numbers));
+    }
+    return highest.get(prefix);
+  };
+  for (const seed of pending.filter(s => !reworded.has(s))) {
+    let id = `${prefixOf(seed.sprint)}${seed.position}`;
+    if (taken.has(id) || claimed.has(id)) {
+      const next = highestIn(seed.sprint) + 1;
+      highest.set(prefixOf(seed.sprint), next);
+      id = `${prefixOf(seed.sprint)}${next}`;
+    }
+    tasks[seed.index].id = id;
+    taken.add(id);
+  }
+}
+
+/**
+ * IDs from the previous --id-scheme sprint compile: ids (hash ID -> ID) and
+ * subjects (ID -> subject), from its task-id-map.json and the plan seeds of
+ * the --merge-with graph (keyed by the hash of their tags + subject). Either
+ * may be missing.
+ */
+function previousSprintIds(idMapPath, previousGraph) {
+  const ids = new Map();
+  const subjects = new Map();
+  for (const task of previousGraph ? graphTasks(previousGraph) : []) {
+    if (task.source === "plan" && task.id && task.subject) {
+      ids.set(seedHashId(task.tags || [], task.subject), String(task.id));
+      subjects.set(String(task.id), task.subject);
+    }
+  }
+  if (idMapPath && fs.existsSync(idMapPath)) {
+    const previous = readJson(idMapPath);
+    for (const [hash, id] of Object.entries(previous.mapping || {})) ids.set(hash, String(id));
+    for (const [id, subject] of Object.entries(previous.subjects || {})) subjects.set(id, subject);
+  }
+  return { ids, subjects };
+}
+
+/**
+ * Find task IDs used more than once.
+ * Map-based lookups would otherwise let the later task silently win.
+ */
+function findDuplicateIds(tasks) {
+  const byId = new Map();
+  for (const t of tasks) {
+    const id = String(t.id);
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(t);
+  }
+  return [...byId.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([id, group]) => `Duplicate task ID "${id}": ${group.map(t => `"${t.subject}" (${taskLocation(t) || t.source || "plan"})`).join(", ")}`);
+}
+
+// Split a comma-separated plan field, keeping commas inside {a,b} and [..] (globs)
+function splitList(value) {
+  const items = [];
+  let depth = 0;
+  let current = "";
+  for (const c of value) {
+    if (c === "{" || c === "[") depth++;
+    if ((c === "}" || c === "]") && depth > 0) depth--;
+    if (c === "," && depth === 0) {
+      items.push(current);
+      current = "";
+    } else {
+      current += c;
+    }
+  }
+  items.push(current);
+  return items.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Where a task came from: "file:line" for plan seeds, the Oracle output file
+ * for issue tasks, null for tasks without a recorded source
+ */
+function taskLocation(task) {
+  if (!task?.sourceFile) return null;
+  return task.line ? `${task.sourceFile}:${task.line}` : task.sourceFile;
+}
+
+// Prefix a warning with the task's location, compiler-style
+function located(task, message) {
+  const loc = taskLocation(task);
+  return loc ? `${loc}: ${message}` : message;
+}
+
+// Fields written while a task is being worked on (ralph.sh, agents, the v2
+// status tracker). --merge-with carries these over from the existing graph.
+const RUNTIME_FIELDS = [
+  "status", "owner", "agent", "startedAt", "lastProgress", "completedAt",
+  "commitHash", "error", "attempt", "healAttempt", "blockedReason", "failSignature"
+];
+
+// Minimum subject similarity for --merge-with to treat two tasks as the same
+const SUBJECT_MATCH_THRESHOLD = 0.6;
+
+function subjectTokens(subject) {
+  return new Set(String(subject || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+/**
+ * Token overlap (Dice coefficient) between two subjects, 0..1
+ */
+function subjectSimilarity(a, b) {
+  const ta = subjectTokens(a);
+  const tb = subjectTokens(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return (2 * shared) / (ta.size + tb.size);
+}
+
+// Blocked by references that name no task: suggest subjects scoring at least
+// SUGGESTION_THRESHOLD, and let --auto-resolve take a match from AUTO_RESOLVE_THRESHOLD
+const SUGGESTION_THRESHOLD = 0.5;
+const AUTO_RESOLVE_THRESHOLD = 0.85;
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How likely a Blocked by reference means a given subject, 0..1: the better
+ * of token overlap (rewordings) and character edit distance (typos)
+ */
+function referenceSimilarity(ref, subject) {
+  const a = [...subjectTokens(ref)].join(" ");
+  const b = [...subjectTokens(subject)].join(" ");
+  if (!a || !b) return 0;
+  const chars = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return Math.max(subjectSimilarity(ref, subject), chars);
+}
+
+/**
+ * Tasks whose subject a dangling reference probably meant, best first
+ *
+ * Returns [{ task, score }] with score >= threshold (default SUGGESTION_THRESHOLD)
+ */
+function suggestBlockers(ref, tasks, options = {}) {
+  const { threshold = SUGGESTION_THRESHOLD, limit = 3 } = options;
+  return tasks
+    .map(task => ({ task, score: referenceSimilarity(ref, task.subject) }))
+    .filter(s => s.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+function formatSuggestions(suggestions) {
+  const listed = suggestions.map(s => `${s.task.id} "${s.task.subject}" (${Math.round(s.score * 100)}%)`);
+  return `did you mean ${listed.join(" or ")}?`;
 }
 
 function readJson(p) {
@@ -46,6 +334,108 @@ function readJson(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
 }
 
+const INCLUDE_DIRECTIVE = /^\s*<!--\s*include:\s*(.+?)\s*-->\s*$/i;
+
+// Directory a plan glob starts from, and its segments from the first wildcard on
+function planGlobRoot(pattern) {
+  const parts = pattern.split("/");
+  const firstWild = parts.findIndex(p => /[*?]/.test(p));
+  const base = parts.slice(0, firstWild).join("/") || (pattern.startsWith("/") ? "/" : ".");
+  return { base, rest: parts.slice(firstWild) };
+}
+
+/**
+ * Expand a plan path that may be a glob (* and ? within a segment, ** for any
+ * depth) into the matching files, sorted naturally (sprint-2 before sprint-10).
+ * Paths without wildcards are returned as-is.
+ */
+function expandPlanGlob(pattern) {
+  if (!/[*?]/.test(pattern)) return [pattern];
+
+  const { base, rest } = planGlobRoot(pattern);
+  const matches = [];
+
+  const walk = (dir, idx) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const seg = rest[idx];
+    const last = idx === rest.length - 1;
+    if (seg === "**") {
+      if (last) {
+        for (const e of entries) if (e.isFile()) matches.push(path.join(dir, e.name));
+      } else {
+        walk(dir, idx + 1);
+      }
+      for (const e of entries) {
+        if (e.isDirectory() && !e.name.startsWith(".") && e.name !== "node_modules") walk(path.join(dir, e.name), idx);
+      }
+      return;
+    }
+    const re = segmentRegExp(seg);
+    for (const e of entries) {
+      if (!re.test(e.name)) continue;
+      if (last && e.isFile()) matches.push(path.join(dir, e.name));
+      else if (!last && e.isDirectory()) walk(path.join(dir, e.name), idx + 1);
+    }
+  };
+  walk(base, 0);
+
+  return [...new Set(matches)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Read one or more plan files into a single text, inlining include directives
+ *
+ *   <!-- include: sprints/sprint-2.md -->   (relative to the including file; globs allowed)
+ *
+ * Returns { text, files, origins, skipped }: origins[i] is { file, line, root }
+ * for line i of text - the file and 1-based line it came from, and the index of
+ * the top-level plan file it belongs to. A file that is reached twice (listed
+ * twice, matched by two globs, included from two places) is only read once and
+ * listed in skipped. Throws on missing files and include cycles.
+ */
+function loadPlanFiles(planPaths) {
+  const lines = [];
+  const origins = [];
+  const files = [];
+  const skipped = [];
+  const loaded = new Set();
+
+  const load = (file, root, stack) => {
+    const key = path.resolve(file);
+    if (stack.some(s => s.key === key)) {
+      throw new Error(`Plan include cycle: ${[...stack.map(s => s.file), file].join(" → ")}`);
+    }
+    if (loaded.has(key)) {
+      skipped.push(file);
+      return;
+    }
+    if (!fs.existsSync(file)) throw new Error(`Missing plan file: ${file}`);
+    loaded.add(key);
+    files.push(file);
+
+    fs.readFileSync(file, "utf8").split("\n").forEach((l, idx) => {
+      const include = l.match(INCLUDE_DIRECTIVE);
+      if (!include) {
+        lines.push(l);
+        origins.push({ file, line: idx + 1, root });
+        return;
+      }
+      const target = path.isAbsolute(include[1]) ? include[1] : path.join(path.dirname(file), include[1]);
+      const targets = expandPlanGlob(target);
+      if (targets.length === 0) throw new Error(`${file}:${idx + 1}: include matches no files: ${include[1]}`);
+      for (const t of targets) load(t, root, [...stack, { key, file }]);
+    });
+  };
+
+  planPaths.forEach((p, root) => load(p, root, []));
+  return { text: lines.join("\n"), files, origins, skipped };
+}
+
 /**
  * Parse task seeds from plan.md
  *
@@ -61,11 +451,67 @@ function readJson(p) {
  *   - Allowed paths: ...
  *   - Verification: ...
  *   - Setup: ...
+ *   - Acceptance: ...                  (or "Acceptance criteria:"; one criterion per bullet)
+ *   - Files: src/a.ts, src/b.ts
+ *   - Complexity: 3                    (integer 1-10)
+ *   - Priority: 1                      (integer 0-3, "P1" also accepted)
+ *   - Owner: agent-name
+ *
+ * Every task records where it was written: sourceFile, line (the seed line)
+ * and endLine (its last metadata line), all 1-based.
+ *
+ * Blocked by references resolve by ID, then by exact subject. A subject that
+ * matches several seeds (typically in different plan files) resolves to the
+ * one in the referencing task's own file if there is exactly one, otherwise to
+ * the first, and is reported in warnings. With autoResolve, a reference that
+ * matches nothing exactly resolves to the single closest subject scoring at
+ * least AUTO_RESOLVE_THRESHOLD (see referenceSimilarity()).
+ *
+ * Options:
+ *   sourceFile  Path of the plan, recorded on every task and used in warnings
+ *   origins     Per-line { file, line, root } from loadPlanFiles(), for a text
+ *               combined from several files (overrides sourceFile). Sprint
+ *               context does not carry over from one top-level file to the next.
+ *   autoResolve Accept high-confidence fuzzy subject matches
+ *   resolutions Array filled with { task, ref, resolvedTo, subject, score } for
+ *               every reference autoResolve accepted
+ *   idScheme    "hash" (default) or "sprint" - how to ID seeds without "ID:"
+ *   idMap       Map filled with hash ID -> assigned ID for every generated ID
+ *               that differs from the hash (only with idScheme "sprint")
+ *   previousIds Map of hash ID -> ID from the previous compile (idScheme
+ *               "sprint"), so seeds keep their numbers when others are inserted
+ *   previousSubjects  Map of ID -> subject from the previous compile, so a
+ *               reworded seed keeps its number too
+ *   warnings    Array filled with "file:line: ..." messages about field values
+ *               that were dropped (complexity/priority out of range or not a number)
+ *
+ * Throws if two seeds end up with the same ID (explicit or generated).
  */
-function parsePlanSeeds(planTxt) {
+function parsePlanSeeds(planTxt, options = {}) {
+  const {
+    sourceFile = null,
+    origins = null,
+    idScheme = "hash",
+    idMap = null,
+    previousIds = new Map(),
+    previousSubjects = new Map(),
+    warnings = [],
+    autoResolve = false,
+    resolutions = []
+  } = options;
   const lines = planTxt.split("\n");
+  const originOf = (idx) => origins ? origins[idx] : { file: sourceFile, line: idx + 1, root: 0 };
+  const at = (idx) => {
+    const o = originOf(idx);
+    return o.file ? `${o.file}:${o.line}` : `line ${o.line}`;
+  };
   const tasks = [];
   let i = 0;
+
+  // Seed position within each sprint, for S{sprint}-T{n} IDs (counts every
+  // seed, so IDs stay stable when subjects change or explicit IDs are added)
+  const sprintPositions = new Map();
+  const unnumbered = [];
   
   // Track current sprint context
   let currentSprint = null;
@@ -74,6 +520,13 @@ function parsePlanSeeds(planTxt) {
 
   while (i < lines.length) {
     const line = lines[i];
+
+    // Each top-level plan file starts outside any sprint
+    if (i > 0 && originOf(i).root !== originOf(i - 1).root) {
+      currentSprint = null;
+      currentSprintGoal = null;
+      currentSprintDemo = null;
+    }
     
     // Check for sprint header: ## Sprint N: Goal
     const sprintMatch = line.match(/^##\s*Sprint\s*(\d+)\s*:\s*(.+?)\s*$/i);
@@ -115,6 +568,8 @@ function parsePlanSeeds(planTxt) {
     const subject = m[4].trim();
     const initialStatus = checkState === "x" ? "completed" : "pending";
     const tags = tagPart.split(",").map(s => s.trim()).filter(Boolean);
+    const seedOrigin = originOf(i);
+    let endLine = seedOrigin.line;
 
     const details = { 
       id: null,
@@ -123,6 +578,11 @@ function parsePlanSeeds(planTxt) {
       allowedPaths: [], 
       verification: [],
       setup: "",
+      acceptance: [],
+      files: [],
+      complexity: null,
+      priority: null,
+      owner: "",
       // Sprint context
       sprint: currentSprint,
       sprintGoal: currentSprintGoal,
@@ -135,6 +595,9 @@ function parsePlanSeeds(planTxt) {
     let currentField = null;
     while (i < lines.length) {
       const l = lines[i];
+
+      // Stop at the end of the file the seed was written in
+      if (originOf(i).file !== seedOrigin.file) break;
       
       // Stop if we hit another task seed (either format, with [x] or [ ])
       if (l.match(/^\s*-\s*\[\s*[xX ]?\s*\]\s*(?:<.+?>|[A-Za-z0-9_.,\/-\s]+?)\s*::/)) break;
@@ -150,7 +613,7 @@ function parsePlanSeeds(planTxt) {
       //   - **Field**: value     (colon outside bold)
       //   - Field: value         (no bold)
       // Note: Both "Blocked by" and "DependsOn" are supported for dependencies
-      const fieldNames = 'ID|Blocked by|DependsOn|Deliverable|Allowed paths|Verification|Setup';
+      const fieldNames = 'ID|Blocked by|DependsOn|Deliverable|Allowed paths|Verification|Setup|Acceptance criteria|Acceptance|Files|Complexity|Priority|Owner';
       // Format: - **Field:** value (colon inside bold)
       const d1 = l.match(new RegExp(`^\\s*-\\s*\\*\\*(${fieldNames}):\\*\\*\\s*(.*)\\s*$`, 'i'));
       // Format: - **Field**: value (colon outside bold)  
@@ -178,7 +641,7 @@ function parsePlanSeeds(planTxt) {
         }
         if (key === "allowed paths") {
           currentField = "allowedPaths";
-          details.allowedPaths = val ? val.split(",").map(s => s.trim()).filter(Boolean) : [];
+          details.allowedPaths = val ? splitList(val) : [];
         }
         if (key === "verification") {
           currentField = "verification";
@@ -188,6 +651,31 @@ function parsePlanSeeds(planTxt) {
           currentField = "setup";
           details.setup = val;
         }
+        if (key === "acceptance" || key === "acceptance criteria") {
+          currentField = "acceptance";
+          details.acceptance = val ? [val] : [];
+        }
+        if (key === "files") {
+          currentField = "files";
+          // "(none - verification only)" style placeholders mean no files
+          details.files = val && !/^\(.*\)$/.test(val) ? splitList(val) : [];
+        }
+        if (key === "complexity") {
+          currentField = "complexity";
+          const n = Number(val);
+          if (Number.isInteger(n) && n >= 1 && n <= 10) details.complexity = n;
+          else warnings.push(`${at(i)}: Task "${subject}" has invalid complexity "${val}" (expected an integer 1-10), ignored`);
+        }
+        if (key === "priority") {
+          currentField = "priority";
+          const n = Number(val.replace(/^p/i, ""));
+          if (val && Number.isInteger(n) && n >= 0 && n <= 3) details.priority = n;
+          else warnings.push(`${at(i)}: Task "${subject}" has invalid priority "${val}" (expected 0-3 or P0-P3), ignored`);
+        }
+        if (key === "owner") {
+          currentField = "owner";
+          details.owner = val;
+        }
       } else {
         // Check for continuation bullets
         const v = l.match(/^\s{4,}-\s+(.+)\s*$/);
@@ -199,17 +687,32 @@ function parsePlanSeeds(planTxt) {
             details.allowedPaths.push(content);
           } else if (currentField === "blockedBy") {
             details.blockedBy.push(content);
+          } else if (currentField === "acceptance") {
+            details.acceptance.push(content);
+          } else if (currentField === "files") {
+            details.files.push(content);
           } else if (currentField === "deliverable" && !details.deliverable) {
             details.deliverable = content;
           }
         }
       }
       
+      if (l.trim() !== "") endLine = originOf(i).line;
       i++;
     }
 
     // Build task object
-    const id = details.id || shaId(`seed:${tags.join(",")}:${subject}`);
+    const position = (sprintPositions.get(details.sprint) || 0) + 1;
+    sprintPositions.set(details.sprint, position);
+
+    const hashId = seedHashId(tags, subject);
+    let id = details.id || null;
+    if (!id && idScheme === "sprint") {
+      // Numbered by assignSprintIds() once every seed is known
+      unnumbered.push({ index: tasks.length, hashId, sprint: details.sprint, position });
+    } else {
+      id = id || hashId;
+    }
     
     const descriptionParts = [];
     if (details.deliverable) {
@@ -224,6 +727,9 @@ function parsePlanSeeds(planTxt) {
     if (details.verification.length) {
       descriptionParts.push(`**Verification:**\n- ${details.verification.join("\n- ")}`);
     }
+    if (details.acceptance.length) {
+      descriptionParts.push(`**Acceptance:**\n- ${details.acceptance.join("\n- ")}`);
+    }
 
     tasks.push({
       id,
@@ -236,7 +742,15 @@ function parsePlanSeeds(planTxt) {
       verification: details.verification.length ? details.verification : undefined,
       deliverable: details.deliverable || undefined,
       setup: details.setup || undefined,
+      acceptance: details.acceptance.length ? details.acceptance : undefined,
+      files: details.files.length ? details.files : undefined,
+      complexity: details.complexity ?? undefined,
+      priority: details.priority ?? undefined,
+      owner: details.owner || undefined,
       source: "plan",
+      sourceFile: seedOrigin.file || undefined,
+      line: seedOrigin.line,
+      endLine,
       status: initialStatus,
       // Sprint context
       sprint: details.sprint || undefined,
@@ -245,6 +759,19 @@ function parsePlanSeeds(planTxt) {
     });
   }
 
+  if (unnumbered.length > 0) {
+    assignSprintIds(tasks, unnumbered, previousIds, previousSubjects);
+    for (const seed of unnumbered) {
+      const id = tasks[seed.index].id;
+      if (idMap && id !== seed.hashId) idMap.set(seed.hashId, id);
+    }
+  }
+
+  const duplicates = findDuplicateIds(tasks);
+  if (duplicates.length > 0) {
+    throw new Error(`Task ID collisions in plan:\n  - ${duplicates.join("\n  - ")}`);
+  }
+
   // Normalize references: strip markdown formatting from blockedBy refs
   const normalizeRef = (s) => String(s || "")
     .replace(/[`*_]/g, "")
@@ -253,20 +780,90 @@ function parsePlanSeeds(planTxt) {
 
   // Resolve blockedBy entries that are written as exact subjects (best-effort)
   const byId = new Map(tasks.map(t => [String(t.id), t]));
-  const bySubject = new Map(tasks.map(t => [String(t.subject).toLowerCase(), t]));
+  const bySubject = new Map();
+  for (const t of tasks) {
+    const key = String(t.subject).toLowerCase();
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    bySubject.get(key).push(t);
+  }
   for (const t of tasks) {
     if (!Array.isArray(t.blockedBy) || t.blockedBy.length === 0) continue;
     t.blockedBy = t.blockedBy.map(ref => {
       const r = normalizeRef(ref);
       if (byId.has(r)) return r;
-      const match = bySubject.get(r.toLowerCase());
-      return match ? String(match.id) : r;
+      if (idMap && idMap.has(r)) return idMap.get(r);
+      const candidates = bySubject.get(r.toLowerCase()) || [];
+      if (candidates.length === 0) {
+        if (!autoResolve) return r;
+        // Only a clear winner: two close subjects are left for the warning to list
+        const [best, runnerUp] = suggestBlockers(r, tasks.filter(x => x !== t), { threshold: AUTO_RESOLVE_THRESHOLD, limit: 2 });
+        if (!best || (runnerUp && runnerUp.score === best.score)) return r;
+        resolutions.push({
+          task: t.id,
+          ref: r,
+          resolvedTo: String(best.task.id),
+          subject: best.task.subject,
+          score: Math.round(best.score * 100) / 100
+        });
+        return String(best.task.id);
+      }
+      if (candidates.length === 1) return String(candidates[0].id);
+
+      const sameFile = candidates.filter(c => c.sourceFile === t.sourceFile);
+      const match = sameFile.length === 1 ? sameFile[0] : candidates[0];
+      const listed = candidates.map(c => `${c.id} (${taskLocation(c) || "plan"})`).join(", ");
+      warnings.push(located(t, `Task "${t.subject}" blocker "${r}" is ambiguous: matches ${listed}; using ${match.id}`));
+      return String(match.id);
     });
   }
 
   return tasks;
 }
 
+/**
+ * Parse sprint headers from plan.md into phase descriptors
+ *
+ * Recognizes the same "## Sprint N: Goal" headers as parsePlanSeeds().
+ * Demo validation is taken from a "**Demo:**" line (or "**Demo/Validation**:")
+ * and any checklist bullets directly below it that are not task seeds.
+ */
+function parseSprints(planTxt) {
+  const lines = planTxt.split("\n");
+  const sprints = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const sprintMatch = lines[i].match(/^##\s*Sprint\s*(\d+)\s*:\s*(.+?)\s*$/i);
+    if (!sprintMatch) continue;
+
+    const sprint = {
+      number: parseInt(sprintMatch[1], 10),
+      goal: sprintMatch[2].trim(),
+      demoValidation: []
+    };
+
+    // Look for the demo line on the next few lines (same window as parsePlanSeeds)
+    for (let j = i + 1; j < i + 6 && j < lines.length; j++) {
+      if (lines[j].match(/^#+\s/)) break;
+      const demoMatch = lines[j].match(/^\*\*Demo(?:\/Validation)?(?::\*\*|\*\*\s*:)\s*(.*)$/i);
+      if (!demoMatch) continue;
+
+      if (demoMatch[1].trim()) sprint.demoValidation.push(demoMatch[1].trim());
+      for (let k = j + 1; k < lines.length; k++) {
+        const l = lines[k];
+        if (l.trim() === "" && sprint.demoValidation.length === 0) continue;
+        const bullet = l.match(/^\s*-\s*(?:\[\s*[xX ]?\s*\]\s*)?(.+?)\s*$/);
+        if (!bullet || l.includes("::")) break;
+        sprint.demoValidation.push(bullet[1]);
+      }
+      break;
+    }
+
+    sprints.push(sprint);
+  }
+
+  return sprints;
+}
+
 /**
  * Convert subject to active form for status display
  */
@@ -297,9 +894,15 @@ function toActiveForm(subject) {
 
 /**
  * Convert Oracle issues to tasks
+ *
+ * Options:
+ *   includeNits  Also turn "nit" issues into tasks
+ *   issuesPath   Path of issues.json; each task's sourceFile is the Oracle
+ *                output it came from (issue.source, which the normalizer
+ *                writes relative to the same folder), or issues.json itself
  */
 function issuesToTasks(issuesPayload, options = {}) {
-  const { includeNits = false } = options;
+  const { includeNits = false, issuesPath = null } = options;
   if (!issuesPayload) return [];
 
   // Support either { issues: [...] } or a top-level array of issues
@@ -320,6 +923,9 @@ function issuesToTasks(issuesPayload, options = {}) {
     const subject = `[${category}/${severity}] ${title}`;
     const tags = [category, iss.lens].filter(Boolean).map(String);
     const id = iss.id ? String(iss.id) : shaId(`issue:${subject}:${iss.evidence}`);
+    const sourceFile = iss.source
+      ? (issuesPath ? path.join(path.dirname(issuesPath), String(iss.source)) : String(iss.source))
+      : issuesPath;
 
     const description = `**Oracle Issue** (${category}, ${severity})
 
@@ -340,6 +946,8 @@ ${iss.acceptanceTest}`;
       tags,
       blockedBy: [],
       source: "oracle",
+      sourceFile: sourceFile || undefined,
+      lens: iss.lens ? String(iss.lens) : undefined,
       severity: iss.severity,
       files: Array.isArray(iss.files) ? iss.files : undefined,
       status: "pending"
@@ -349,44 +957,113 @@ ${iss.acceptanceTest}`;
   return tasks;
 }
 
+// Built-in tag rules for --infer, used unless a deps config sets "extendDefaults": false
+const DEFAULT_DEPENDENCY_RULES = [
+  { tag: "ui", dependsOn: ["engine", "core", "types", "data"] },
+  { tag: "components", dependsOn: ["types", "core"] },
+  { tag: "tests", dependsOn: ["engine", "ui", "core"] },
+  { tag: "e2e", dependsOn: ["ui", "components", "tests"] },
+  { tag: "worker", dependsOn: ["types", "core"] },
+  { tag: "io", dependsOn: ["engine", "worker"] },
+  { tag: "integration", dependsOn: ["engine", "ui", "io"] }
+];
+
+const DEFAULT_DEPS_CONFIG = ".appbuilder-deps.json";
+
+// Which sprints a rule may link: the dependency's sprint relative to the task's
+const SPRINT_SCOPES = {
+  any: () => true,
+  same: (task, dep) => dep === task,
+  "same-or-earlier": (task, dep) => dep <= task,
+  earlier: (task, dep) => dep < task
+};
+
+function tagPattern(pattern) {
+  const re = String(pattern).toLowerCase()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${re}$`);
+}
+
 /**
- * Infer dependencies based on tags
+ * Load dependency inference rules from a JSON config file
+ *
+ * {
+ *   "extendDefaults": true,                      // keep DEFAULT_DEPENDENCY_RULES (default: true)
+ *   "rules": [
+ *     { "tag": "api", "dependsOn": ["db", "schema"] },
+ *     { "tag": "mobile-*", "dependsOn": ["api"], "sprint": "same-or-earlier" }
+ *   ]
+ * }
+ *
+ * "tag" and "dependsOn" entries may use * and ? wildcards. "sprint" is one of
+ * any (default), same, same-or-earlier, earlier.
  */
-function inferDependencies(tasks) {
-  // Build tag -> task id mapping (case-insensitive)
-  const tagToTasks = new Map();
-  for (const t of tasks) {
-    for (const rawTag of t.tags || []) {
-      const tag = String(rawTag).toLowerCase();
-      if (!tag) continue;
-      if (!tagToTasks.has(tag)) tagToTasks.set(tag, []);
-      tagToTasks.get(tag).push(t.id);
-    }
+function loadDependencyRules(configPath) {
+  const config = readJson(configPath);
+  if (!config || !Array.isArray(config.rules)) {
+    throw new Error(`${configPath}: expected { "rules": [...] }`);
   }
-  
-  // Define dependency rules (all lowercase)
-  const dependsOn = {
-    "ui": ["engine", "core", "types", "data"],
-    "components": ["types", "core"],
-    "tests": ["engine", "ui", "core"],
-    "e2e": ["ui", "components", "tests"],
-    "worker": ["types", "core"],
-    "io": ["engine", "worker"],
-    "integration": ["engine", "ui", "io"]
-  };
-  
+  const rules = config.rules.map((rule, i) => {
+    const where = `${configPath}: rules[${i}]`;
+    if (typeof rule.tag !== "string" || !rule.tag) throw new Error(`${where}.tag must be a non-empty string`);
+    if (!Array.isArray(rule.dependsOn) || rule.dependsOn.some(d => typeof d !== "string")) {
+      throw new Error(`${where}.dependsOn must be an array of tags`);
+    }
+    if (rule.sprint !== undefined && !SPRINT_SCOPES[rule.sprint]) {
+      throw new Error(`${where}.sprint must be one of: ${Object.keys(SPRINT_SCOPES).join(", ")}`);
+    }
+    return { ...rule, source: `${configPath}#${i + 1}` };
+  });
+  return config.extendDefaults === false ? rules : [...DEFAULT_DEPENDENCY_RULES, ...rules];
+}
+
+function describeRule(rule) {
+  const scope = rule.sprint && rule.sprint !== "any" ? ` [sprint: ${rule.sprint}]` : "";
+  return `${rule.tag} → ${rule.dependsOn.join("|")}${scope} (${rule.source || "built-in"})`;
+}
+
+/**
+ * Infer dependencies based on tags
+ *
+ * A task gets every task carrying a tag from rule.dependsOn as a blocker when
+ * one of its own tags matches rule.tag. Sprint-scoped rules only link tasks
+ * that both have a sprint.
+ *
+ * Options:
+ *   rules         Dependency rules (default: DEFAULT_DEPENDENCY_RULES)
+ *   explanations  Array filled with { task, dependsOn, rule, tag, depTag } per inferred edge
+ */
+function inferDependencies(tasks, options = {}) {
+  const { rules = DEFAULT_DEPENDENCY_RULES, explanations = null } = options;
+  const compiled = rules.map(rule => ({
+    rule,
+    match: tagPattern(rule.tag),
+    deps: rule.dependsOn.map(tagPattern),
+    inScope: SPRINT_SCOPES[rule.sprint || "any"]
+  }));
+
+  const lowerTags = (t) => (t.tags || []).map(tag => String(tag).toLowerCase()).filter(Boolean);
+
   // Apply inferred dependencies
   for (const task of tasks) {
     const inferred = [];
     
-    for (const rawTag of task.tags || []) {
-      const tag = String(rawTag).toLowerCase();
-      const deps = dependsOn[tag] || [];
-      for (const depTag of deps) {
-        const depTaskIds = tagToTasks.get(depTag) || [];
-        for (const depId of depTaskIds) {
-          if (depId !== task.id && !inferred.includes(depId)) {
-            inferred.push(depId);
+    for (const tag of lowerTags(task)) {
+      for (const { rule, match, deps, inScope } of compiled) {
+        if (!match.test(tag)) continue;
+        const scoped = (rule.sprint || "any") !== "any";
+
+        for (const dep of tasks) {
+          if (dep.id === task.id || inferred.includes(dep.id)) continue;
+          if (scoped && !(task.sprint && dep.sprint && inScope(task.sprint, dep.sprint))) continue;
+          const depTag = lowerTags(dep).find(dt => deps.some(re => re.test(dt)));
+          if (!depTag) continue;
+
+          inferred.push(dep.id);
+          if (explanations && !(task.blockedBy || []).includes(dep.id)) {
+            explanations.push({ task: task.id, dependsOn: dep.id, rule: describeRule(rule), tag, depTag });
           }
         }
       }
@@ -401,114 +1078,1287 @@ function inferDependencies(tasks) {
 }
 
 /**
- * Detect cycles in the dependency graph using DFS
+ * Normalize an allowedPaths/files entry into segment lists (braces expanded)
+ *
+ * "/" and "." mean the whole repo. A trailing slash, or a literal last segment
+ * without an extension, may be a directory, so both the path itself and
+ * everything below it count.
  */
-function findCycles(tasks) {
-  const byId = new Map(tasks.map(t => [t.id, t]));
-  const visited = new Set();
-  const inStack = new Set();
-  const path = [];
-  const cycles = [];
+function globVariants(pattern) {
+  let p = String(pattern || "").trim().replace(/^\.\//, "").replace(/^\/+/, "");
+  if (p === "" || p === ".") return [["**"]];
 
-  function dfs(id) {
-    if (inStack.has(id)) {
-      const idx = path.indexOf(id);
-      if (idx !== -1) cycles.push([...path.slice(idx), id]);
-      return;
-    }
-    if (visited.has(id)) return;
-    visited.add(id);
-    inStack.add(id);
-    path.push(id);
-    const task = byId.get(id);
-    for (const dep of task?.blockedBy || []) {
-      if (byId.has(dep)) dfs(dep);
-    }
-    path.pop();
-    inStack.delete(id);
+  // Expand the first {a,b} group recursively
+  const brace = p.match(/\{([^{}]*)\}/);
+  if (brace) {
+    return brace[1].split(",").flatMap(alt =>
+      globVariants(p.slice(0, brace.index) + alt + p.slice(brace.index + brace[0].length))
+    );
   }
 
-  for (const t of tasks) dfs(t.id);
-  return cycles;
+  if (p.endsWith("/")) return [[...p.slice(0, -1).split("/"), "**"]];
+  const segments = p.split("/");
+  const last = segments[segments.length - 1];
+  return /[*?[.]/.test(last) ? [segments] : [segments, [...segments, "**"]];
+}
+
+function segmentRegExp(seg) {
+  // Without a complete [..] class (an invalid glob, reported as a warning) brackets are literal
+  const special = /\[[^\]]*\]/.test(seg) ? /[.+^${}()|\\]/g : /[.+^${}()|\\[\]]/g;
+  const re = seg
+    .replace(special, "\\$&")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]");
+  return new RegExp(`^${re}$`);
 }
 
 /**
- * Validate task graph
+ * Whether two single path segments (with * ? [..] wildcards) can match the same name
+ *
+ * Exact when one side is literal. With wildcards on both sides this compares
+ * the literal prefix and suffix, which can report a false overlap but never
+ * misses a real one.
  */
-function validateGraph(tasks) {
-  const warnings = [];
-  const taskIds = new Set(tasks.map(t => t.id));
-  const byId = new Map(tasks.map(t => [t.id, t]));
-  
-  // Check for cycles
-  const cycles = findCycles(tasks);
-  for (const cycle of cycles) {
-    const labels = cycle.map(id => {
-      const t = byId.get(id);
-      return t ? t.subject.slice(0, 40) : id;
-    });
-    warnings.push(`Dependency cycle detected: ${labels.join(" → ")}`);
-  }
-  
-  for (const task of tasks) {
-    // Check for invalid blockers
-    for (const blockerId of task.blockedBy || []) {
-      if (!taskIds.has(blockerId)) {
-        warnings.push(`Task "${task.subject}" has invalid blocker: ${blockerId}`);
-      }
-    }
-    
-    // Check for missing verification
-    if (!task.verification?.length && task.source === "plan") {
-      warnings.push(`Task "${task.subject}" has no verification commands`);
-    }
-  }
-  
-  return warnings;
+function segmentsOverlap(a, b) {
+  const wild = /[*?[]/;
+  if (!wild.test(a) && !wild.test(b)) return a === b;
+  if (!wild.test(a)) return segmentRegExp(b).test(a);
+  if (!wild.test(b)) return segmentRegExp(a).test(b);
+
+  const prefix = (s) => s.slice(0, s.search(wild));
+  const suffix = (s) => {
+    const m = s.match(/[^*?\]]*$/);
+    return m ? m[0] : "";
+  };
+  const [pa, pb, sa, sb] = [prefix(a), prefix(b), suffix(a), suffix(b)];
+  return (pa.startsWith(pb) || pb.startsWith(pa)) && (sa.endsWith(sb) || sb.endsWith(sa));
 }
 
-function main() {
-  const planPath = arg("--plan");
-  const issuesPath = arg("--issues");
-  const outPath = arg("--out") || "artifacts/04-task-graph.json";
-  const inferDeps = hasFlag("--infer") || hasFlag("--infer-deps");
-  const includeNits = hasFlag("--include-nits");
+function segmentListsOverlap(a, b, i = 0, j = 0) {
+  if (i === a.length && j === b.length) return true;
+  if (a[i] === "**") return segmentListsOverlap(a, b, i + 1, j) || (j < b.length && segmentListsOverlap(a, b, i, j + 1));
+  if (b[j] === "**") return segmentListsOverlap(a, b, i, j + 1) || (i < a.length && segmentListsOverlap(a, b, i + 1, j));
+  if (i === a.length || j === b.length) return false;
+  return segmentsOverlap(a[i], b[j]) && segmentListsOverlap(a, b, i + 1, j + 1);
+}
 
-  if (!planPath) die("Missing --plan <path>");
-  // --issues is now optional
+/**
+ * Whether some file path could match both globs
+ */
+function globsOverlap(a, b) {
+  const va = globVariants(a);
+  const vb = globVariants(b);
+  return va.some(x => vb.some(y => segmentListsOverlap(x, y)));
+}
 
-  console.log("Compiling task graph...");
-  console.log(`  Plan: ${planPath}`);
-  if (issuesPath) console.log(`  Issues: ${issuesPath}`);
-  else console.log(`  Issues: (none - plan only)`);
-  console.log(`  Output: ${outPath}`);
-  if (inferDeps) console.log(`  Dependency inference: ENABLED`);
-  if (includeNits) console.log(`  Include nits: YES`);
-  console.log("");
+/**
+ * Paths a task may touch: allowedPaths plus Oracle/plan "files"
+ */
+function taskPaths(task) {
+  return [...new Set([...(task.allowedPaths || []), ...(task.files || [])])]
+    .filter(p => typeof p === "string" && p.trim());
+}
+
+// Tasks that must finish before this one starts: real dependencies plus the
+// ordering --serialize-conflicts added
+function waitsOn(task) {
+  return [...(task?.blockedBy || []), ...(task?.serializeAfter || [])];
+}
+
+/**
+ * Whether task `from` waits on task `to`, directly or through other blockers
+ */
+function dependsOnTransitively(byId, from, to) {
+  const seen = new Set();
+  const stack = waitsOn(byId.get(from));
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === to) return true;
+    if (seen.has(id) || !byId.has(id)) continue;
+    seen.add(id);
+    stack.push(...waitsOn(byId.get(id)));
+  }
+  return false;
+}
+
+/**
+ * Find pairs of tasks that may edit the same files but could run at the same time
+ *
+ * Only tasks that are still to do (not completed/obsolete) and have no
+ * dependency path between them in either direction are compared.
+ *
+ * Options:
+ *   serialize  Add the earlier task (graph order) to the later one's
+ *              serializeAfter for every conflict, re-checking independence
+ *              after each edge so no cycle can be created. These are kept out
+ *              of blockedBy: they order the work, they are not dependencies.
+ *
+ * Returns { conflicts: [{ tasks: [a, b], overlaps: [[globA, globB], ...] }], serialized: [{ task, after }] }
+ */
+function findFileConflicts(tasks, options = {}) {
+  const { serialize = false } = options;
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const independent = (a, b) => !dependsOnTransitively(byId, a.id, b.id) && !dependsOnTransitively(byId, b.id, a.id);
+
+  const open = tasks.filter(t => t.status !== "completed" && t.status !== "obsolete" && taskPaths(t).length > 0);
+  const conflicts = [];
+  const serialized = [];
+
+  for (let i = 0; i < open.length; i++) {
+    for (let j = i + 1; j < open.length; j++) {
+      const a = open[i];
+      const b = open[j];
+      if (!independent(a, b)) continue;
+
+      const overlaps = [];
+      for (const pa of taskPaths(a)) {
+        for (const pb of taskPaths(b)) {
+          if (globsOverlap(pa, pb)) overlaps.push([pa, pb]);
+        }
+      }
+      if (overlaps.length === 0) continue;
+
+      conflicts.push({ tasks: [a.id, b.id], overlaps });
+      if (serialize) {
+        b.serializeAfter = [...(b.serializeAfter || []), a.id];
+        serialized.push({ task: b.id, after: a.id });
+      }
+    }
+  }
+
+  return { conflicts, serialized };
+}
+
+const LINK_MODES = ["dependency", "subtask"];
+
+// Minimum title/subject similarity for an Oracle issue to count as being about a seed
+const LINK_SUBJECT_THRESHOLD = 0.5;
+
+/**
+ * Why an Oracle issue task is about a plan seed, as { score, reasons }
+ *
+ * Overlapping files and a similar subject weigh 2 each; a shared tag and the
+ * issue's lens naming a directory in the seed's paths weigh 1 each.
+ */
+function issueLinkEvidence(issue, seed) {
+  const reasons = [];
+  let score = 0;
+
+  const overlaps = [];
+  for (const pi of issue.files || []) {
+    for (const ps of taskPaths(seed)) {
+      if (globsOverlap(pi, ps)) overlaps.push(pi === ps ? pi : `${pi} ~ ${ps}`);
+    }
+  }
+  if (overlaps.length > 0) {
+    score += 2;
+    reasons.push(`files ${overlaps.join(", ")}`);
+  }
+
+  const title = String(issue.subject).replace(/^\[[^\]]*\]\s*/, "");
+  const similarity = subjectSimilarity(title, seed.subject);
+  if (similarity >= LINK_SUBJECT_THRESHOLD) {
+    score += 2;
+    reasons.push(`subject ${Math.round(similarity * 100)}% similar`);
+  }
+
+  const seedTags = new Set((seed.tags || []).map(t => String(t).toLowerCase()));
+  const shared = (issue.tags || []).filter(t => seedTags.has(String(t).toLowerCase()));
+  if (shared.length > 0) {
+    score += 1;
+    reasons.push(`tag ${shared.map(t => `#${t}`).join(", ")}`);
+  }
+
+  if (issue.lens) {
+    const lens = String(issue.lens).toLowerCase();
+    const hit = taskPaths(seed).find(p => p.toLowerCase().split("/").includes(lens));
+    if (hit) {
+      score += 1;
+      reasons.push(`lens "${issue.lens}" in path ${hit}`);
+    }
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Connect Oracle issue tasks to the plan seeds they are about
+ *
+ * An issue links to every seed (not completed or obsolete) with evidence
+ * score >= 2, see issueLinkEvidence(). The reasons are stored on the issue
+ * as linkedTo: [{ task, reasons }].
+ *
+ * Modes:
+ *   dependency  Every linked seed gets the issue in its blockedBy
+ *   subtask     The issue is nested under its best-matching seed: parent is
+ *               set, it joins that seed's sprint, and the parent waits for it
+ *
+ * Blocker-severity issues also gate their sprints: every open task in a sprint
+ * with a linked seed waits for the issue (gatesSprints on the issue).
+ * No edge is added where it would create a cycle.
+ *
+ * Returns [{ issue, mode, links: [{ task, reasons }], gatesSprints }]
+ */
+function linkIssuesToPlan(tasks, options = {}) {
+  const { mode = "dependency" } = options;
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const open = (t) => t.status !== "completed" && t.status !== "obsolete";
+  const seeds = tasks.filter(t => t.source === "plan" && open(t));
+  const issues = tasks.filter(t => t.source === "oracle");
+  const results = [];
+
+  const block = (task, issue) => {
+    if (task.id === issue.id || (task.blockedBy || []).includes(issue.id)) return false;
+    if (dependsOnTransitively(byId, issue.id, task.id)) return false;
+    task.blockedBy = [...(task.blockedBy || []), issue.id];
+    return true;
+  };
+
+  for (const issue of issues) {
+    const matches = seeds
+      .map(seed => ({ seed, ...issueLinkEvidence(issue, seed) }))
+      .filter(m => m.score >= 2)
+      .sort((a, b) => b.score - a.score);
+    if (matches.length === 0) continue;
+
+    issue.linkedTo = matches.map(m => ({ task: m.seed.id, reasons: m.reasons }));
+
+    if (mode === "subtask") {
+      const parent = matches[0].seed;
+      issue.parent = parent.id;
+      if (parent.sprint && !issue.sprint) {
+        issue.sprint = parent.sprint;
+        issue.sprintGoal = parent.sprintGoal;
+        issue.sprintDemo = parent.sprintDemo;
+      }
+      block(parent, issue);
+    } else {
+      for (const m of matches) block(m.seed, issue);
+    }
+
+    let gatesSprints;
+    if (issue.severity === "blocker") {
+      gatesSprints = [...new Set(matches.map(m => m.seed.sprint).filter(Boolean))].sort((a, b) => a - b);
+      for (const task of tasks) {
+        if (task.sprint && gatesSprints.includes(task.sprint) && open(task) && task.source !== "oracle") block(task, issue);
+      }
+      if (gatesSprints.length > 0) issue.gatesSprints = gatesSprints;
+    }
+
+    results.push({ issue: issue.id, mode, links: issue.linkedTo, gatesSprints });
+  }
+
+  return results;
+}
+
+/**
+ * Detect cycles in the dependency graph using DFS
+ */
+function findCycles(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const visited = new Set();
+  const inStack = new Set();
+  const path = [];
+  const cycles = [];
+
+  function dfs(id) {
+    if (inStack.has(id)) {
+      const idx = path.indexOf(id);
+      if (idx !== -1) cycles.push([...path.slice(idx), id]);
+      return;
+    }
+    if (visited.has(id)) return;
+    visited.add(id);
+    inStack.add(id);
+    path.push(id);
+    const task = byId.get(id);
+    for (const dep of task?.blockedBy || []) {
+      if (byId.has(dep)) dfs(dep);
+    }
+    path.pop();
+    inStack.delete(id);
+  }
+
+  for (const t of tasks) dfs(t.id);
+  return cycles;
+}
+
+// Above this many edges inside one strongly connected component the exact
+// search gets too expensive and suggestCycleBreaks() falls back to a heuristic
+const EXACT_CYCLE_BREAK_EDGES = 20;
 
-  const planTxt = readText(planPath);
+/**
+ * Strongly connected components with more than one task (or a self-loop), via Tarjan
+ */
+function cyclicComponents(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  function strongConnect(id) {
+    index.set(id, counter);
+    low.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    for (const dep of byId.get(id).blockedBy || []) {
+      if (!byId.has(dep)) continue;
+      if (!index.has(dep)) {
+        strongConnect(dep);
+        low.set(id, Math.min(low.get(id), low.get(dep)));
+      } else if (onStack.has(dep)) {
+        low.set(id, Math.min(low.get(id), index.get(dep)));
+      }
+    }
+    if (low.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      const selfLoop = (byId.get(id).blockedBy || []).includes(id);
+      if (component.length > 1 || selfLoop) components.push(component);
+    }
+  }
+
+  for (const t of tasks) if (!index.has(t.id)) strongConnect(t.id);
+  return components;
+}
+
+function hasCycle(ids, edges) {
+  const deps = new Map(ids.map(id => [id, []]));
+  for (const e of edges) deps.get(e.task).push(e.blockedBy);
+  const state = new Map();
+  const visit = (id) => {
+    if (state.get(id) === 1) return true;
+    if (state.get(id) === 2) return false;
+    state.set(id, 1);
+    for (const d of deps.get(id)) if (visit(d)) return true;
+    state.set(id, 2);
+    return false;
+  };
+  return ids.some(id => visit(id));
+}
+
+function* combinations(items, k, start = 0, picked = []) {
+  if (picked.length === k) {
+    yield picked;
+    return;
+  }
+  for (let i = start; i <= items.length - (k - picked.length); i++) {
+    yield* combinations(items, k, i + 1, [...picked, items[i]]);
+  }
+}
+
+/**
+ * Find a smallest set of blockedBy edges whose removal breaks every cycle
+ *
+ * Each cyclic component is solved on its own (cycles never cross
+ * components): exactly, by trying edge subsets of growing size, when the
+ * component has at most EXACT_CYCLE_BREAK_EDGES edges; otherwise by dropping
+ * the back edges of a DFS, which is acyclic but may remove more than needed.
+ *
+ * Returns { edges: [{ task, blockedBy }], exact }
+ */
+function suggestCycleBreaks(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const removals = [];
+  let exact = true;
+
+  for (const component of cyclicComponents(tasks)) {
+    const members = new Set(component);
+    const edges = component.flatMap(id =>
+      [...new Set(byId.get(id).blockedBy || [])].filter(d => members.has(d)).map(d => ({ task: id, blockedBy: d }))
+    );
+
+    if (edges.length <= EXACT_CYCLE_BREAK_EDGES) {
+      let found = null;
+      for (let k = 1; k <= edges.length && !found; k++) {
+        for (const picked of combinations(edges, k)) {
+          const kept = edges.filter(e => !picked.includes(e));
+          if (!hasCycle(component, kept)) {
+            found = picked;
+            break;
+          }
+        }
+      }
+      removals.push(...found);
+      continue;
+    }
+
+    exact = false;
+    const state = new Map();
+    const visit = (id) => {
+      state.set(id, 1);
+      for (const e of edges.filter(x => x.task === id)) {
+        if (state.get(e.blockedBy) === 1) removals.push(e);
+        else if (!state.has(e.blockedBy)) visit(e.blockedBy);
+      }
+      state.set(id, 2);
+    };
+    for (const id of component) if (!state.has(id)) visit(id);
+  }
+
+  return { edges: removals, exact };
+}
+
+/**
+ * Remove the given blockedBy edges from tasks (in place)
+ */
+function removeEdges(tasks, edges) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  for (const e of edges) {
+    const task = byId.get(e.task);
+    task.blockedBy = (task.blockedBy || []).filter(d => d !== e.blockedBy);
+  }
+  return tasks;
+}
+
+/**
+ * Compute topological levels, parallelism and the critical path
+ *
+ * Level 0 holds tasks with no (known) blockers, serializeAfter included;
+ * every other task sits one level below its deepest blocker. The width of a level is how many agents
+ * could work side by side once the levels above are done. The critical path
+ * is the longest chain weighted by complexity (1 when unset). Obsolete tasks
+ * and blockers that are not in the graph are ignored; tasks in a cycle cannot
+ * be leveled and are listed separately.
+ */
+function analyzeSchedule(tasks) {
+  const active = tasks.filter(t => t.status !== "obsolete");
+  const byId = new Map(active.map(t => [t.id, t]));
+  const deps = new Map(active.map(t => [t.id, [...new Set(waitsOn(t))].filter(d => byId.has(d) && d !== t.id)]));
+  const weight = (t) => (Number.isFinite(t.complexity) && t.complexity > 0 ? t.complexity : 1);
+
+  const dependents = new Map(active.map(t => [t.id, []]));
+  for (const [id, ds] of deps) for (const d of ds) dependents.get(d).push(id);
+
+  // Kahn's algorithm, carrying level and weighted distance along
+  const remaining = new Map([...deps].map(([id, ds]) => [id, ds.length]));
+  const level = new Map();
+  const dist = new Map();
+  const prev = new Map();
+  let queue = active.filter(t => remaining.get(t.id) === 0).map(t => t.id);
+  for (const id of queue) {
+    level.set(id, 0);
+    dist.set(id, weight(byId.get(id)));
+  }
+  while (queue.length > 0) {
+    const next = [];
+    for (const id of queue) {
+      for (const child of dependents.get(id)) {
+        const viaId = dist.get(id) + weight(byId.get(child));
+        if (!dist.has(child) || viaId > dist.get(child)) {
+          dist.set(child, viaId);
+          prev.set(child, id);
+        }
+        level.set(child, Math.max(level.get(child) || 0, level.get(id) + 1));
+        remaining.set(child, remaining.get(child) - 1);
+        if (remaining.get(child) === 0) next.push(child);
+      }
+    }
+    queue = next;
+  }
+
+  const widthByLevel = [];
+  for (const lv of level.values()) widthByLevel[lv] = (widthByLevel[lv] || 0) + 1;
+
+  let end = null;
+  for (const [id, d] of dist) {
+    if (level.has(id) && (end === null || d > dist.get(end))) end = id;
+  }
+  const criticalPath = [];
+  for (let id = end; id !== undefined && id !== null; id = prev.get(id)) criticalPath.unshift(id);
+
+  // Tasks that hold up the most work (transitive dependents)
+  const descendantCount = (id) => {
+    const seen = new Set();
+    const stack = [...dependents.get(id)];
+    while (stack.length) {
+      const d = stack.pop();
+      if (seen.has(d)) continue;
+      seen.add(d);
+      stack.push(...dependents.get(d));
+    }
+    return seen.size;
+  };
+  const bottlenecks = active
+    .map(t => ({ id: t.id, dependents: descendantCount(t.id) }))
+    .filter(b => b.dependents > 0)
+    .sort((a, b) => b.dependents - a.dependents)
+    .slice(0, 5);
+
+  return {
+    levels: widthByLevel.length,
+    maxWidth: widthByLevel.length ? Math.max(...widthByLevel) : 0,
+    widthByLevel,
+    criticalPath: {
+      length: end === null ? 0 : dist.get(end),
+      weightedBy: active.some(t => Number.isFinite(t.complexity)) ? "complexity" : "task count",
+      tasks: criticalPath
+    },
+    bottlenecks,
+    unleveled: active.filter(t => !level.has(t.id)).map(t => t.id)
+  };
+}
+
+function printScheduleSummary(analysis, byId) {
+  const label = (id) => {
+    const t = byId.get(id);
+    return t ? `${id} "${t.subject}"` : id;
+  };
+
+  console.log("");
+  console.log("📐 Schedule:");
+  console.log(`  Depth: ${analysis.levels} level(s), widths ${analysis.widthByLevel.join(" / ") || "-"}`);
+  console.log(`  Max parallel tasks: ${analysis.maxWidth}`);
+  console.log(`  Critical path (${analysis.criticalPath.length} by ${analysis.criticalPath.weightedBy}):`);
+  for (const id of analysis.criticalPath.tasks) console.log(`    → ${label(id)}`);
+  if (analysis.bottlenecks.length > 0) {
+    console.log("  Holding up the most work:");
+    for (const b of analysis.bottlenecks) console.log(`    - ${label(b.id)} (${b.dependents} dependent(s))`);
+  }
+  if (analysis.unleveled.length > 0) {
+    console.log(`  In a cycle (not scheduled): ${analysis.unleveled.join(", ")}`);
+  }
+  const advice = analysis.maxWidth > 1
+    ? `up to ${analysis.maxWidth} agents can work in parallel - a swarm pays off`
+    : "the graph is a single chain - one ralph loop is enough";
+  console.log(`  Suggestion: ${advice}`);
+}
+
+/**
+ * Validate task graph
+ */
+function validateGraph(tasks) {
+  const warnings = [];
+  const taskIds = new Set(tasks.map(t => t.id));
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  
+  // Check for cycles
+  const cycles = findCycles(tasks);
+  for (const cycle of cycles) {
+    const labels = cycle.map(id => {
+      const t = byId.get(id);
+      return t ? t.subject.slice(0, 40) : id;
+    });
+    warnings.push(located(byId.get(cycle[0]), `Dependency cycle detected: ${labels.join(" → ")}`));
+  }
+  
+  for (const task of tasks) {
+    // Check for invalid blockers
+    for (const blockerId of task.blockedBy || []) {
+      if (!taskIds.has(blockerId)) {
+        const suggestions = suggestBlockers(blockerId, tasks.filter(t => t !== task));
+        const hint = suggestions.length > 0 ? ` - ${formatSuggestions(suggestions)}` : "";
+        warnings.push(located(task, `Task "${task.subject}" has invalid blocker: ${blockerId}${hint}`));
+      } else if (task.status !== "obsolete" && byId.get(blockerId).status === "obsolete") {
+        warnings.push(located(task, `Task "${task.subject}" is blocked by obsolete task: ${blockerId}`));
+      }
+    }
+    
+    // Check for missing verification
+    if (!task.verification?.length && task.source === "plan" && task.status !== "obsolete") {
+      warnings.push(located(task, `Task "${task.subject}" has no verification commands`));
+    }
+  }
+  
+  return warnings;
+}
+
+/**
+ * Convert a flat (v1) task into the phased (v2) task shape
+ *
+ * blockedBy becomes dependsOn, the status is mapped onto the v2 vocabulary and
+ * the status-tracking fields are filled in (existing values are kept).
+ * Sprint fields are dropped because the enclosing phase carries them.
+ */
+function toPhasedTask(task) {
+  const { blockedBy, sprint, sprintGoal, sprintDemo, ...rest } = task;
+  const status = task.status || "pending";
+  return {
+    ...rest,
+    dependsOn: Array.isArray(blockedBy) ? blockedBy : [],
+    status: V2_STATUS[status] || status,
+    attempt: task.attempt ?? 0,
+    maxAttempts: task.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    agent: task.agent ?? null,
+    startedAt: task.startedAt ?? null,
+    lastProgress: task.lastProgress ?? null,
+    completedAt: task.completedAt ?? null,
+    commitHash: task.commitHash ?? null,
+    error: task.error ?? null
+  };
+}
+
+/**
+ * Group flat tasks into phases
+ *
+ * One phase per sprint (sorted by sprint number), using the parsed sprint
+ * headers for goal and demo validation. Tasks without a sprint (Oracle issues,
+ * seeds outside any sprint section) go into a trailing "Additional Tasks" phase.
+ */
+function buildPhases(tasks, sprints = []) {
+  const sprintInfo = new Map(sprints.map(s => [s.number, s]));
+  const bySprint = new Map();
+  const unscheduled = [];
+
+  for (const s of sprints) bySprint.set(s.number, []);
+  for (const task of tasks) {
+    if (task.sprint) {
+      if (!bySprint.has(task.sprint)) bySprint.set(task.sprint, []);
+      bySprint.get(task.sprint).push(task);
+    } else {
+      unscheduled.push(task);
+    }
+  }
+
+  const phases = [];
+  for (const num of [...bySprint.keys()].sort((a, b) => a - b)) {
+    const sprintTasks = bySprint.get(num);
+    const info = sprintInfo.get(num);
+    const goal = info?.goal || sprintTasks[0]?.sprintGoal || "";
+    const demo = info?.demoValidation?.length
+      ? info.demoValidation
+      : (sprintTasks[0]?.sprintDemo ? [sprintTasks[0].sprintDemo] : []);
+    phases.push({
+      name: goal ? `Sprint ${num}: ${goal}` : `Sprint ${num}`,
+      sprint: num,
+      goal,
+      demoValidation: demo,
+      tasks: sprintTasks.map(toPhasedTask)
+    });
+  }
+
+  if (unscheduled.length > 0) {
+    phases.push({
+      name: "Additional Tasks",
+      sprint: null,
+      goal: "Oracle issues and tasks outside any sprint",
+      demoValidation: [],
+      tasks: unscheduled.map(toPhasedTask)
+    });
+  }
+
+  return phases;
+}
+
+/**
+ * Carry runtime progress from an existing graph into freshly compiled tasks
+ *
+ * Matching: same ID (after applying idMap, so hash IDs map onto S{n}-T{m})
+ * when the subjects are at least SUBJECT_MATCH_THRESHOLD similar and no other
+ * unmatched task has a closer subject, then the most similar unmatched
+ * subject from the same source above SUBJECT_MATCH_THRESHOLD. Matched tasks
+ * keep the existing RUNTIME_FIELDS; a "[x]" in the plan still wins over a
+ * non-completed existing status.
+ *
+ * Existing tasks that match nothing are appended with status "obsolete",
+ * except those whose ID a new, unrelated task now uses: they are dropped and
+ * listed in summary.replaced.
+ * Oracle tasks are only obsoleted when issues were compiled this run
+ * (options.hasIssues); otherwise they are carried over unchanged.
+ *
+ * Returns { tasks, summary }
+ */
+function mergeWithExisting(tasks, existingGraph, options = {}) {
+  const { idMap = new Map(), hasIssues = false, now = new Date().toISOString() } = options;
+
+  let existing = existingGraph;
+  if (Array.isArray(existing?.phases)) {
+    // Lazy require: migrate_task_graph.js requires this module
+    existing = require("./migrate_task_graph").phasedToFlat(existing).graph;
+  }
+  const oldTasks = Array.isArray(existing?.tasks) ? existing.tasks : [];
+
+  const summary = {
+    added: [],
+    obsoleted: [],
+    revived: [],
+    matchedBySubject: [],
+    replaced: [],
+    subjectChanged: [],
+    dependenciesChanged: [],
+    progressKept: [],
+    carriedOver: []
+  };
+
+  const unmatched = new Map(oldTasks.map(t => [String(t.id), t]));
+  const matches = new Map();
+
+  const sameSource = (task, old) => (old.source || "plan") === (task.source || "plan");
+  const idMatchOf = (task) => {
+    for (const [oldId, old] of unmatched) {
+      if (oldId === task.id || idMap.get(oldId) === task.id) return old;
+    }
+    return null;
+  };
+  // An unmatched old task whose subject is closer to the task's than `score`
+  const closerSubject = (task, score) => [...unmatched.values()]
+    .some(old => sameSource(task, old) && subjectSimilarity(task.subject, old.subject) > score);
+
+  // Pass 1: by ID, exact subjects first, then similar ones unless another
+  // old task is closer (an ID that now names a different task is left to
+  // pass 2, so its progress is not carried over)
+  for (const exactOnly of [true, false]) {
+    for (const task of tasks) {
+      if (matches.has(task)) continue;
+      const old = idMatchOf(task);
+      if (!old) continue;
+      const score = subjectSimilarity(task.subject, old.subject);
+      if (exactOnly ? score < 1 : score < SUBJECT_MATCH_THRESHOLD || closerSubject(task, score)) continue;
+      matches.set(task, old);
+      unmatched.delete(String(old.id));
+    }
+  }
+
+  // Pass 2: by subject similarity
+  for (const task of tasks) {
+    if (matches.has(task)) continue;
+    let best = null;
+    let bestScore = SUBJECT_MATCH_THRESHOLD;
+    for (const old of unmatched.values()) {
+      if (!sameSource(task, old)) continue;
+      const score = subjectSimilarity(task.subject, old.subject);
+      if (score >= bestScore) {
+        best = old;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      matches.set(task, best);
+      unmatched.delete(String(best.id));
+      summary.matchedBySubject.push({ from: best.id, to: task.id, score: Math.round(bestScore * 100) / 100 });
+    }
+  }
+
+  // Old ID -> new ID for every matched pair, to compare dependencies
+  const renamed = new Map(idMap);
+  for (const [task, old] of matches) renamed.set(String(old.id), task.id);
+
+  const merged = tasks.map(task => {
+    const old = matches.get(task);
+    if (!old) {
+      summary.added.push(task.id);
+      return task;
+    }
+
+    if (old.subject !== task.subject) {
+      summary.subjectChanged.push({ id: task.id, from: old.subject, to: task.subject });
+    }
+    const oldDeps = (old.blockedBy || []).map(d => renamed.get(d) || d).sort().join(",");
+    if (oldDeps !== [...(task.blockedBy || [])].sort().join(",")) {
+      summary.dependenciesChanged.push(task.id);
+    }
+
+    if (old.status === "obsolete") {
+      summary.revived.push(task.id);
+      return task;
+    }
+
+    const result = { ...task };
+    for (const field of RUNTIME_FIELDS) {
+      if (old[field] !== undefined && old[field] !== null) result[field] = old[field];
+    }
+    if (task.status === "completed") result.status = "completed";
+    if (result.status !== "pending" || RUNTIME_FIELDS.some(f => f !== "status" && result[f] !== undefined && result[f] !== null)) {
+      summary.progressKept.push(task.id);
+    }
+    return result;
+  });
+
+  const newIds = new Set(tasks.map(t => String(t.id)));
+  for (const old of unmatched.values()) {
+    if (newIds.has(String(old.id))) {
+      // The ID now names an unrelated task, which starts afresh
+      summary.replaced.push({ id: old.id, from: old.subject, status: old.status || "pending" });
+      continue;
+    }
+    if (old.source === "oracle" && !hasIssues) {
+      summary.carriedOver.push(old.id);
+      merged.push(old);
+      continue;
+    }
+    if (old.status !== "obsolete") summary.obsoleted.push(old.id);
+    merged.push({
+      ...old,
+      status: "obsolete",
+      obsoletedAt: old.status === "obsolete" ? old.obsoletedAt : now,
+      statusBeforeObsolete: old.status === "obsolete" ? old.statusBeforeObsolete : (old.status || "pending")
+    });
+  }
+
+  return { tasks: merged, summary };
+}
+
+function printMergeSummary(summary, byId) {
+  const label = (id) => {
+    const t = byId.get(id);
+    return t ? `${id} "${t.subject}"` : id;
+  };
+  const section = (title, items, fmt = label) => {
+    if (items.length === 0) return;
+    console.log(`  ${title} (${items.length}):`);
+    for (const item of items) console.log(`    - ${fmt(item)}`);
+  };
+
+  console.log("");
+  console.log("🔀 Merge summary:");
+  section("Added", summary.added);
+  section("Obsoleted (no longer in plan/issues)", summary.obsoleted);
+  section("Revived (was obsolete)", summary.revived);
+  section("Matched by subject", summary.matchedBySubject, m => `${m.from} → ${label(m.to)} (similarity ${m.score})`);
+  section("ID reused by a different task (old progress dropped)", summary.replaced, r => `${label(r.id)} was "${r.from}" (${r.status})`);
+  section("Subject changed", summary.subjectChanged, c => `${c.id}: "${c.from}" → "${c.to}"`);
+  section("Dependencies changed", summary.dependenciesChanged);
+  section("Oracle tasks carried over (no --issues)", summary.carriedOver);
+  console.log(`  Progress kept on ${summary.progressKept.length} task(s)`);
+}
+
+// The task a schema issue path such as "$.phases[1].tasks[3].status" points into
+function taskAtPath(graph, jsonPath) {
+  const m = jsonPath.match(/^\$\.(?:phases\[(\d+)\]\.)?tasks\[(\d+)\]/);
+  if (!m) return null;
+  const list = m[1] !== undefined ? graph.phases?.[Number(m[1])]?.tasks : graph.tasks;
+  return list?.[Number(m[2])] || null;
+}
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+// Fields that move without the task changing (inserting a seed shifts every line below it)
+const POSITION_FIELDS = ["line", "endLine"];
+
+function graphTasks(graph) {
+  if (Array.isArray(graph?.phases)) return graph.phases.flatMap(p => p.tasks || []);
+  return Array.isArray(graph?.tasks) ? graph.tasks : [];
+}
+
+// Warning text without its leading "file:line: ", which shifts as the plan is edited
+function warningKey(warning) {
+  return String(warning).replace(/^\S+:\d+: /, "");
+}
+
+/**
+ * What changed between two compiled graphs (either format)
+ *
+ * Returns {
+ *   added: [task], removed: [task], changed: [{ task, fields }],
+ *   newWarnings: [string], resolvedWarnings: [string]
+ * }
+ */
+function diffTaskGraphs(before, after) {
+  const oldTasks = new Map(graphTasks(before).map(t => [t.id, t]));
+  const newTasks = new Map(graphTasks(after).map(t => [t.id, t]));
+
+  const added = [...newTasks.values()].filter(t => !oldTasks.has(t.id));
+  const removed = [...oldTasks.values()].filter(t => !newTasks.has(t.id));
+  const changed = [];
+  for (const task of newTasks.values()) {
+    const old = oldTasks.get(task.id);
+    if (!old) continue;
+    const keys = new Set([...Object.keys(old), ...Object.keys(task)]);
+    const fields = [...keys].filter(k =>
+      !POSITION_FIELDS.includes(k) && JSON.stringify(old[k]) !== JSON.stringify(task[k])
+    );
+    if (fields.length > 0) changed.push({ task, fields });
+  }
+
+  const oldWarnings = before?.meta?.warnings || [];
+  const newWarnings = after?.meta?.warnings || [];
+  const oldKeys = new Set(oldWarnings.map(warningKey));
+  const newKeys = new Set(newWarnings.map(warningKey));
+
+  return {
+    added,
+    removed,
+    changed,
+    newWarnings: newWarnings.filter(w => !oldKeys.has(warningKey(w))),
+    resolvedWarnings: oldWarnings.filter(w => !newKeys.has(warningKey(w)))
+  };
+}
+
+function printGraphDiff(diff) {
+  const total = diff.added.length + diff.removed.length + diff.changed.length;
+  if (total === 0 && diff.newWarnings.length === 0 && diff.resolvedWarnings.length === 0) {
+    console.log("  No changes");
+    return;
+  }
+  for (const t of diff.added) console.log(`  + ${located(t, `${t.id} "${t.subject}"`)}`);
+  for (const t of diff.removed) console.log(`  - ${t.id} "${t.subject}"`);
+  for (const c of diff.changed) console.log(`  ~ ${located(c.task, `${c.task.id} "${c.task.subject}"`)} (${c.fields.join(", ")})`);
+  for (const w of diff.newWarnings) console.log(`  ⚠️  ${w}`);
+  if (diff.resolvedWarnings.length > 0) console.log(`  ✅ ${diff.resolvedWarnings.length} warning(s) resolved`);
+}
+
+/**
+ * --watch: compile once with the full report, then recompile in a child
+ * process whenever an input changes and print only the diff. Inputs are
+ * re-read after every compile, so new includes are picked up. The directories
+ * that plan globs (--plan and include directives) start from are watched too,
+ * so a file that starts matching one triggers a recompile.
+ * A failed compile is reported and the last good graph stays the baseline.
+ */
+function watchAndRecompile(outPath, debounceMs) {
+  const childArgs = process.argv.slice(2).filter((a, idx, all) =>
+    a !== "--watch" && a !== "--debounce" && all[idx - 1] !== "--debounce"
+  );
+  const readGraph = () => {
+    try {
+      return JSON.parse(fs.readFileSync(outPath, "utf8"));
+    } catch {
+      return null;
+    }
+  };
+  const inputsOf = (graph) => {
+    const files = argList("--plan").flatMap(expandPlanGlob);
+    if (arg("--issues")) files.push(arg("--issues"));
+    const inputs = graph?.meta?.inputs || {};
+    files.push(...(inputs.planFiles || []), inputs.planPath, inputs.issuesPath);
+    return [...new Set(files.filter(Boolean).map(f => path.resolve(f)))];
+  };
+  const globsOf = (inputs) => {
+    const globs = argList("--plan").map(p => path.resolve(p));
+    for (const f of inputs) {
+      let text;
+      try {
+        text = fs.readFileSync(f, "utf8");
+      } catch {
+        continue;
+      }
+      for (const l of text.split("\n")) {
+        const include = l.match(INCLUDE_DIRECTIVE);
+        if (include) globs.push(path.resolve(path.dirname(f), include[1]));
+      }
+    }
+    return [...new Set(globs.filter(g => /[*?]/.test(g)))];
+  };
+
+  let previous = null;
+  let timer = null;
+  const pending = new Set();
+  const watched = new Set();
+  const watchedDirs = new Map();
+  let globs = [];
+
+  const schedule = (f) => {
+    pending.add(f);
+    clearTimeout(timer);
+    timer = setTimeout(() => compile(false), debounceMs);
+  };
+
+  // fs.watch() cannot watch a whole tree on Linux before Node 20; there every
+  // directory below the glob's base is watched on its own instead
+  let recursiveWatch = true;
+  const subdirsOf = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+    const dirs = [dir];
+    for (const e of entries) {
+      // Same directories expandPlanGlob() descends into
+      if (e.isDirectory() && !e.name.startsWith(".") && e.name !== "node_modules") dirs.push(...subdirsOf(path.join(dir, e.name)));
+    }
+    return dirs;
+  };
+
+  // A directory changed: recompile if a glob now matches a file not yet read
+  const checkGlobs = () => {
+    if (!recursiveWatch) watchGlobDirs(); // a new subdirectory needs its own watcher
+    const fresh = globs.flatMap(expandPlanGlob).map(f => path.resolve(f)).filter(f => !watched.has(f));
+    for (const f of fresh) schedule(f);
+  };
+
+  const watchGlobDirs = () => {
+    const dirs = new Map();
+    for (const g of globs) {
+      const { base, rest } = planGlobRoot(g);
+      const tree = rest.length > 1 || rest.includes("**");
+      if (tree && !recursiveWatch) {
+        for (const dir of subdirsOf(base)) dirs.set(dir, false);
+      } else {
+        dirs.set(base, dirs.get(base) || tree);
+      }
+    }
+    for (const [dir, w] of watchedDirs) {
+      if (dirs.get(dir) === w.recursive) continue;
+      w.watcher.close();
+      watchedDirs.delete(dir);
+    }
+    for (const [dir, recursive] of dirs) {
+      if (watchedDirs.has(dir)) continue;
+      try {
+        const watcher = fs.watch(dir, { recursive }, checkGlobs);
+        watcher.on("error", () => {
+          watcher.close();
+          watchedDirs.delete(dir);
+        });
+        watchedDirs.set(dir, { watcher, recursive });
+      } catch (err) {
+        if (recursive && err.code === "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+          recursiveWatch = false;
+          console.log(`⚠️  Node ${process.versions.node} cannot watch directory trees here; watching each directory below the plan globs instead`);
+          watchGlobDirs();
+          return;
+        }
+        // Missing directory: nothing can match until the next compile
+      }
+    }
+  };
+
+  const compile = (first) => {
+    const result = spawnSync(process.execPath, [__filename, ...childArgs], {
+      encoding: "utf8",
+      stdio: first ? "inherit" : "pipe"
+    });
+    const stamp = new Date().toLocaleTimeString();
+    const changedNames = [...pending].map(f => {
+      const rel = path.relative(process.cwd(), f);
+      return rel.startsWith("..") ? f : rel;
+    }).join(", ");
+    pending.clear();
+
+    if (result.status !== 0) {
+      console.log("");
+      console.log(`❌ [${stamp}] Compile failed${changedNames ? ` after change to ${changedNames}` : ""}:`);
+      const output = `${result.stderr || ""}`.trim();
+      if (output) console.log(output.split("\n").map(l => `  ${l}`).join("\n"));
+    } else {
+      const graph = readGraph();
+      if (!first) {
+        console.log("");
+        console.log(`🔄 [${stamp}] Recompiled after change to ${changedNames}: ${graphTasks(graph).length} tasks`);
+        printGraphDiff(diffTaskGraphs(previous, graph));
+      }
+      previous = graph;
+    }
+
+    const inputs = inputsOf(previous);
+    for (const f of watched) {
+      if (!inputs.includes(f)) {
+        fs.unwatchFile(f);
+        watched.delete(f);
+      }
+    }
+    for (const f of inputs) {
+      if (watched.has(f)) continue;
+      watched.add(f);
+      fs.watchFile(f, { interval: 250 }, (cur, prev) => {
+        if (cur.mtimeMs === prev.mtimeMs) return;
+        schedule(f);
+      });
+    }
+
+    globs = globsOf(inputs);
+    watchGlobDirs();
+    if (first) {
+      console.log("");
+      console.log(`👀 Watching ${watched.size} file(s)${watchedDirs.size > 0 ? ` and ${watchedDirs.size} glob director${watchedDirs.size === 1 ? "y" : "ies"}` : ""} - Ctrl+C to stop`);
+    }
+  };
+
+  compile(true);
+}
+
+function main() {
+  if (hasFlag("--watch")) {
+    const outPath = arg("--out") || "artifacts/04-task-graph.json";
+    const debounceMs = Number(arg("--debounce") || DEFAULT_DEBOUNCE_MS);
+    if (!Number.isFinite(debounceMs) || debounceMs < 0) die(`Invalid --debounce "${arg("--debounce")}" (expected milliseconds)`);
+    if (argList("--plan").length === 0) die("Missing --plan <path>");
+    watchAndRecompile(outPath, debounceMs);
+    return;
+  }
+
+  const planArgs = argList("--plan");
+  const issuesPath = arg("--issues");
+  const outPath = arg("--out") || "artifacts/04-task-graph.json";
+  const inferDeps = hasFlag("--infer") || hasFlag("--infer-deps");
+  const includeNits = hasFlag("--include-nits");
+  const schema = arg("--schema") || "v1";
+  const strict = hasFlag("--strict");
+  const idScheme = arg("--id-scheme") || "hash";
+  const mergeWithPath = arg("--merge-with");
+  const explainDeps = hasFlag("--explain-deps");
+  const serializeConflicts = hasFlag("--serialize-conflicts");
+  const breakCycles = hasFlag("--break-cycles");
+  const autoResolve = hasFlag("--auto-resolve");
+  const linkIssues = hasFlag("--link-issues");
+  const linkArg = arg("--link-issues");
+  const linkMode = linkArg && !linkArg.startsWith("--") ? linkArg : "dependency";
+  const depsConfigPath = arg("--deps-config") || (fs.existsSync(DEFAULT_DEPS_CONFIG) ? DEFAULT_DEPS_CONFIG : null);
+
+  if (planArgs.length === 0) die("Missing --plan <path>");
+  if (!SCHEMA_VERSIONS.includes(schema)) {
+    die(`Unknown --schema "${schema}" (expected one of: ${SCHEMA_VERSIONS.join(", ")})`);
+  }
+  if (linkIssues && !LINK_MODES.includes(linkMode)) {
+    die(`Unknown --link-issues mode "${linkMode}" (expected one of: ${LINK_MODES.join(", ")})`);
+  }
+  if (!ID_SCHEMES.includes(idScheme)) {
+    die(`Unknown --id-scheme "${idScheme}" (expected one of: ${ID_SCHEMES.join(", ")})`);
+  }
+  const idMapPath = idScheme === "sprint"
+    ? (arg("--id-map") || path.join(path.dirname(outPath), "task-id-map.json"))
+    : null;
+  // --issues is now optional
+
+  const planPaths = [];
+  for (const p of planArgs) {
+    const matches = expandPlanGlob(p);
+    if (matches.length === 0) die(`--plan ${p} matches no files`);
+    for (const m of matches) {
+      if (!planPaths.some(p => path.resolve(p) === path.resolve(m))) planPaths.push(m);
+    }
+  }
+  let plan;
+  try {
+    plan = loadPlanFiles(planPaths);
+  } catch (err) {
+    die(err.message);
+  }
+  const planPath = plan.files[0];
+
+  console.log("Compiling task graph...");
+  if (plan.files.length === 1) {
+    console.log(`  Plan: ${planPath}`);
+  } else {
+    const included = plan.files.filter(f => !planPaths.includes(f)).length;
+    console.log(`  Plan: ${plan.files.length} files${included > 0 ? ` (${included} via include)` : ""}`);
+    for (const f of plan.files) console.log(`    - ${f}`);
+  }
+  for (const f of plan.skipped) console.log(`  Plan file read twice, skipped: ${f}`);
+  if (issuesPath) console.log(`  Issues: ${issuesPath}`);
+  else console.log(`  Issues: (none - plan only)`);
+  console.log(`  Output: ${outPath}`);
+  if (inferDeps) console.log(`  Dependency inference: ENABLED${depsConfigPath ? ` (rules: ${depsConfigPath})` : ""}`);
+  if (includeNits) console.log(`  Include nits: YES`);
+  console.log(`  Schema: ${schema}`);
+  if (strict) console.log(`  Strict: warnings are fatal`);
+  if (idScheme !== "hash") console.log(`  ID scheme: ${idScheme}`);
+  if (mergeWithPath) console.log(`  Merge with: ${mergeWithPath}`);
+  if (linkIssues) console.log(`  Link issues to plan: ${linkMode}`);
+  if (autoResolve) console.log(`  Auto-resolve blockers: ON (similarity >= ${AUTO_RESOLVE_THRESHOLD})`);
+  console.log("");
+
+  const planTxt = plan.text;
   const issuesPayload = issuesPath && fs.existsSync(issuesPath) ? readJson(issuesPath) : null;
 
   // Parse tasks from both sources
-  let seedTasks = parsePlanSeeds(planTxt);
-  let issueTasks = issuesPayload ? issuesToTasks(issuesPayload, { includeNits }) : [];
+  const existing = mergeWithPath ? readJson(mergeWithPath) : null;
+  const idMap = new Map();
+  const previous = idScheme === "sprint" ? previousSprintIds(idMapPath, existing) : { ids: new Map(), subjects: new Map() };
+  const parseWarnings = [];
+  const resolutions = [];
+  let seedTasks = parsePlanSeeds(planTxt, { origins: plan.origins, idScheme, idMap, previousIds: previous.ids, previousSubjects: previous.subjects, warnings: parseWarnings, autoResolve, resolutions });
+  let issueTasks = issuesPayload ? issuesToTasks(issuesPayload, { includeNits, issuesPath }) : [];
 
   console.log(`  Seed tasks from plan: ${seedTasks.length}`);
+  if (resolutions.length > 0) {
+    const byId = new Map(seedTasks.map(t => [t.id, t]));
+    console.log("");
+    console.log(`🔎 Auto-resolved blockers (${resolutions.length}):`);
+    for (const r of resolutions) {
+      console.log(`  - ${located(byId.get(r.task), `"${r.ref}" → ${r.resolvedTo} "${r.subject}" (${Math.round(r.score * 100)}%)`)}`);
+    }
+    console.log("");
+  }
   if (issuesPayload) {
     console.log(`  Issue tasks from Oracle: ${issueTasks.length}`);
   }
 
   // Combine tasks
   let tasks = [...seedTasks, ...issueTasks];
+
+  const duplicates = findDuplicateIds(tasks);
+  if (duplicates.length > 0) {
+    die(`Task ID collisions:\n  - ${duplicates.join("\n  - ")}`);
+  }
   
   // Only infer dependencies if explicitly requested
+  const explanations = explainDeps ? [] : null;
   if (inferDeps) {
-    tasks = inferDependencies(tasks);
-    console.log(`  Inferred dependencies applied`);
+    const rules = depsConfigPath ? loadDependencyRules(depsConfigPath) : DEFAULT_DEPENDENCY_RULES;
+    tasks = inferDependencies(tasks, { rules, explanations });
+    console.log(`  Inferred dependencies applied (${rules.length} rules)`);
+  } else if (explainDeps) {
+    console.log(`  --explain-deps has no effect without --infer`);
+  }
+
+  if (explanations && explanations.length > 0) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    console.log("");
+    console.log("🔗 Inferred dependencies:");
+    for (const e of explanations) {
+      console.log(`  - ${e.task} "${byId.get(e.task).subject}" ← ${e.dependsOn} "${byId.get(e.dependsOn).subject}"`);
+      console.log(`      #${e.tag} → #${e.depTag} via ${e.rule}`);
+    }
+  }
+
+  let issueLinks = [];
+  if (linkIssues) {
+    issueLinks = linkIssuesToPlan(tasks, { mode: linkMode });
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    console.log("");
+    console.log(`🧷 Oracle issues linked to plan tasks (${issueLinks.length} of ${issueTasks.length}):`);
+    for (const l of issueLinks) {
+      console.log(`  - ${l.issue} "${byId.get(l.issue).subject}"`);
+      for (const link of l.links) {
+        console.log(`      ${link.task} "${byId.get(link.task).subject}": ${link.reasons.join("; ")}`);
+      }
+      if (l.gatesSprints) console.log(`      blocker: gates sprint ${l.gatesSprints.join(", ")}`);
+    }
+  }
+
+  // Keep progress from the previous graph
+  let mergeSummary = null;
+  if (existing) {
+    const result = mergeWithExisting(tasks, existing, { idMap, hasIssues: Boolean(issuesPayload) });
+    tasks = result.tasks;
+    mergeSummary = result.summary;
+    printMergeSummary(mergeSummary, new Map(tasks.map(t => [t.id, t])));
+  }
+
+  // Independent tasks that would edit the same files
+  const { conflicts, serialized } = findFileConflicts(tasks, { serialize: serializeConflicts });
+  if (conflicts.length > 0) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    console.log("");
+    console.log(`📂 File conflicts between parallel tasks (${conflicts.length}):`);
+    for (const c of conflicts) {
+      const [a, b] = c.tasks;
+      console.log(`  - ${a} "${byId.get(a).subject}" ↔ ${b} "${byId.get(b).subject}"`);
+      console.log(`      ${c.overlaps.map(([x, y]) => x === y ? x : `${x} ~ ${y}`).join(", ")}`);
+    }
+    if (serialized.length > 0) {
+      console.log(`  Serialized ${serialized.length} pair(s) with serializeAfter edges (--serialize-conflicts)`);
+    }
+  }
+
+  // Cycles deadlock ralph: suggest (or apply) the smallest set of edges to drop
+  const cycleBreaks = suggestCycleBreaks(tasks);
+  if (cycleBreaks.edges.length > 0) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const label = (id) => `${id} "${byId.get(id).subject}"`;
+    console.log("");
+    console.log(`🔁 ${breakCycles ? "Breaking" : "To break"} all dependency cycles, remove ${cycleBreaks.edges.length} edge(s)${cycleBreaks.exact ? "" : " (approximate)"}:`);
+    for (const e of cycleBreaks.edges) {
+      console.log(`  - ${label(e.task)} blocked by ${label(e.blockedBy)}`);
+    }
+    if (breakCycles) removeEdges(tasks, cycleBreaks.edges);
+    else console.log("  Re-run with --break-cycles to apply");
   }
 
   // Validate
-  const warnings = validateGraph(tasks);
+  const warnings = [...parseWarnings, ...validateGraph(tasks)];
   if (warnings.length > 0) {
     console.log("");
     console.log("⚠️  Warnings:");
@@ -518,36 +2368,136 @@ function main() {
   }
 
   // Build final graph
-  const graph = {
-    meta: {
-      generatedAt: new Date().toISOString(),
-      inputs: { planPath, issuesPath },
-      options: { inferDeps, includeNits },
-      counts: { 
-        seedTasks: seedTasks.length, 
-        issueTasks: issueTasks.length, 
-        total: tasks.length,
-        readyToStart: tasks.filter(t => !t.blockedBy?.length).length
-      },
-      warnings: warnings.length > 0 ? warnings : undefined
+  const readiness = countReadiness(tasks);
+  const meta = {
+    generatedAt: new Date().toISOString(),
+    schemaVersion: schema,
+    inputs: { planPath, planFiles: plan.files.length > 1 ? plan.files : undefined, issuesPath },
+    options: { inferDeps, linkIssues: linkIssues ? linkMode : undefined, serializeConflicts, breakCycles, autoResolve, depsConfig: inferDeps ? depsConfigPath || undefined : undefined, includeNits, idScheme, mergeWith: mergeWithPath || undefined },
+    inferredDependencies: explanations && explanations.length > 0 ? explanations : undefined,
+    autoResolved: resolutions.length > 0 ? resolutions : undefined,
+    issueLinks: issueLinks.length > 0 ? issueLinks : undefined,
+    counts: { 
+      seedTasks: seedTasks.length, 
+      issueTasks: issueTasks.length, 
+      total: tasks.length,
+      obsolete: mergeSummary ? tasks.filter(t => t.status === "obsolete").length : undefined,
+      readyToStart: readiness.ready,
+      danglingBlockers: readiness.dangling || undefined
     },
-    tasks
+    merge: mergeSummary ? { from: mergeWithPath, ...mergeSummary } : undefined,
+    conflicts: conflicts.length > 0 ? conflicts : undefined,
+    serializedConflicts: serialized.length > 0 ? serialized : undefined,
+    brokenCycles: breakCycles && cycleBreaks.edges.length > 0 ? cycleBreaks.edges : undefined,
+    cycleBreakSuggestion: !breakCycles && cycleBreaks.edges.length > 0 ? cycleBreaks.edges : undefined,
+    schedule: analyzeSchedule(tasks),
+    warnings: warnings.length > 0 ? warnings : undefined
   };
 
+  printScheduleSummary(meta.schedule, new Map(tasks.map(t => [t.id, t])));
+
+  let graph;
+  if (schema === "v2") {
+    const phases = buildPhases(tasks, parseSprints(planTxt));
+    meta.counts.phases = phases.length;
+    graph = {
+      project: arg("--project") || path.basename(process.cwd()),
+      repo: arg("--repo"),
+      created: meta.generatedAt,
+      model: arg("--model"),
+      meta,
+      phases
+    };
+  } else {
+    graph = { meta, tasks };
+  }
+
+  // Schema validation (invalid blockers were already reported by validateGraph)
+  const validation = validateTaskGraph(graph, { checkRefs: false, globWarnings: true });
+  const describe = (issue) => located(taskAtPath(graph, issue.path), formatIssue(issue));
+  if (validation.warnings.length > 0) {
+    console.log("");
+    console.log("⚠️  Schema warnings:");
+    for (const w of validation.warnings) {
+      console.log(`  - ${describe(w)}`);
+    }
+    meta.warnings = [...(meta.warnings || []), ...validation.warnings.map(describe)];
+  }
+  if (validation.errors.length > 0) {
+    console.log("");
+    console.log("❌ Schema errors:");
+    for (const e of validation.errors) {
+      console.log(`  - ${describe(e)}`);
+    }
+    die(`Task graph failed validation (${validation.errors.length} errors) - not written`);
+  }
+  if (strict && meta.warnings?.length) {
+    die(`--strict: ${meta.warnings.length} warnings - not written`);
+  }
+
   // Write output
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(graph, null, 2) + "\n", "utf8");
   
+  if (idMapPath) {
+    const idMapIds = new Set(idMap.values());
+    const idMapping = {
+      generatedAt: meta.generatedAt,
+      scheme: idScheme,
+      planPath,
+      planFiles: plan.files.length > 1 ? plan.files : undefined,
+      mapping: Object.fromEntries(idMap),
+      // Lets the next compile recognize reworded seeds
+      subjects: Object.fromEntries(tasks.filter(t => idMapIds.has(t.id)).map(t => [t.id, t.subject]))
+    };
+    fs.mkdirSync(path.dirname(idMapPath), { recursive: true });
+    fs.writeFileSync(idMapPath, JSON.stringify(idMapping, null, 2) + "\n", "utf8");
+  }
+
   console.log("");
   console.log(`✅ Wrote task graph: ${outPath}`);
+  if (idMapPath) console.log(`   ID mapping (${idMap.size} renamed): ${idMapPath}`);
+  if (graph.phases) console.log(`   Phases: ${graph.phases.length}`);
   console.log(`   Total tasks: ${tasks.length}`);
-  console.log(`   Ready to start: ${tasks.filter(t => !t.blockedBy?.length).length}`);
+  console.log(`   Ready to start: ${meta.counts.readyToStart}`);
+  if (meta.counts.danglingBlockers) console.log(`   Dangling blockers (unknown IDs): ${meta.counts.danglingBlockers} task(s)`);
 }
 
-try {
-  main();
-} catch (err) {
-  console.error("Error:", err.message);
-  if (process.env.DEBUG) console.error(err.stack);
-  process.exit(1);
+module.exports = {
+  parsePlanSeeds,
+  loadPlanFiles,
+  expandPlanGlob,
+  findDuplicateIds,
+  subjectSimilarity,
+  referenceSimilarity,
+  diffTaskGraphs,
+  suggestBlockers,
+  mergeWithExisting,
+  parseSprints,
+  issuesToTasks,
+  inferDependencies,
+  loadDependencyRules,
+  DEFAULT_DEPENDENCY_RULES,
+  findCycles,
+  suggestCycleBreaks,
+  globsOverlap,
+  findFileConflicts,
+  dependsOnTransitively,
+  linkIssuesToPlan,
+  validateGraph,
+  analyzeSchedule,
+  toPhasedTask,
+  buildPhases,
+  V2_STATUS,
+  DEFAULT_MAX_ATTEMPTS
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err.message);
+    if (process.env.DEBUG) console.error(err.stack);
+    process.exit(1);
+  }
 }
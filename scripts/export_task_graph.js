@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Export the task graph as a Mermaid flowchart or Graphviz DOT diagram.
+ *
+ * Usage:
+ *   node scripts/export_task_graph.js --in artifacts/04-task-graph.json --format mermaid
+ *   node scripts/export_task_graph.js --format dot --sprint 1,2 --out artifacts/task-graph.dot
+ *   dot -Tsvg artifacts/task-graph.dot -o artifacts/task-graph.svg
+ *
+ * Options:
+ *   --in <path>               Graph to export, v1 or v2 (default: artifacts/04-task-graph.json)
+ *   --format <mermaid|dot>    Output format (default: mermaid)
+ *   --out <path>              Write to a file instead of stdout
+ *   --tag <a,b>               Only tasks with at least one of these tags
+ *   --sprint <1,2|none>       Only tasks in these sprints ("none" = tasks outside any sprint)
+ *
+ * Diagram:
+ *   - One subgraph per sprint, plus "Additional Tasks" for tasks without one
+ *   - Fill colour by status, border by source (plan / oracle, which is also a hexagon)
+ *   - Edges point from blocker to dependent; critical-path edges are thick and red
+ *     (critical path of the whole graph, see compile_task_graph.js analyzeSchedule)
+ *   - Dependencies on tasks hidden by a filter are dropped and counted in a comment
+ */
+const fs = require("fs");
+const path = require("path");
+const { analyzeSchedule } = require("./compile_task_graph");
+const { phasedToFlat, detectFormat } = require("./migrate_task_graph");
+
+const DEFAULT_GRAPH = "artifacts/04-task-graph.json";
+const FORMATS = ["mermaid", "dot"];
+const UNSCHEDULED = "Additional Tasks";
+const MAX_LABEL = 40;
+
+// Fill colour per (v1) status
+const STATUS_COLORS = {
+  pending: "#e5e7eb",
+  blocked: "#fde68a",
+  in_progress: "#bfdbfe",
+  completed: "#bbf7d0",
+  failed: "#fecaca",
+  obsolete: "#f3f4f6"
+};
+
+// Border colour per source
+const SOURCE_COLORS = {
+  plan: "#4b5563",
+  oracle: "#7c3aed",
+  manual: "#0f766e"
+};
+
+const CRITICAL_COLOR = "#dc2626";
+
+function die(msg) {
+  console.error("Error:", msg);
+  process.exit(1);
+}
+
+function arg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx === -1) return null;
+  return process.argv[idx + 1] || null;
+}
+
+function listArg(name) {
+  const value = arg(name);
+  return value ? value.split(",").map(s => s.trim()).filter(Boolean) : [];
+}
+
+function truncate(s, n) {
+  const str = String(s || "");
+  return str.length > n ? `${str.slice(0, n - 1)}…` : str;
+}
+
+/**
+ * Tasks to draw, grouped by sprint, with edges and critical-path edges
+ *
+ * Options:
+ *   tags     Keep tasks with any of these tags (all when empty)
+ *   sprints  Keep tasks in these sprints; "none" keeps tasks without a sprint
+ */
+function buildDiagram(graph, options = {}) {
+  const { tags = [], sprints = [] } = options;
+  const all = graph.tasks;
+
+  const tagSet = new Set(tags.map(t => t.toLowerCase()));
+  const keep = all.filter(t => {
+    if (tagSet.size > 0 && !(t.tags || []).some(tag => tagSet.has(String(tag).toLowerCase()))) return false;
+    if (sprints.length > 0 && !sprints.includes(t.sprint ? String(t.sprint) : "none")) return false;
+    return true;
+  });
+  const kept = new Set(keep.map(t => t.id));
+
+  const critical = analyzeSchedule(all).criticalPath.tasks;
+  const criticalEdges = new Set();
+  for (let i = 1; i < critical.length; i++) criticalEdges.add(`${critical[i - 1]}->${critical[i]}`);
+
+  const edges = [];
+  let hiddenEdges = 0;
+  for (const task of keep) {
+    for (const dep of new Set(task.blockedBy || [])) {
+      if (!kept.has(dep)) {
+        hiddenEdges++;
+        continue;
+      }
+      edges.push({ from: dep, to: task.id, critical: criticalEdges.has(`${dep}->${task.id}`) });
+    }
+  }
+
+  const groups = new Map();
+  for (const task of keep) {
+    const key = task.sprint || 0;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        name: task.sprint ? (task.sprintGoal ? `Sprint ${task.sprint}: ${task.sprintGoal}` : `Sprint ${task.sprint}`) : UNSCHEDULED,
+        sprint: task.sprint || null,
+        tasks: []
+      });
+    }
+    groups.get(key).tasks.push(task);
+  }
+  const ordered = [...groups.values()].sort((a, b) => (a.sprint || Infinity) - (b.sprint || Infinity));
+
+  return { groups: ordered, edges, hiddenEdges, total: all.length, shown: keep.length };
+}
+
+function mermaidId(id) {
+  return `t_${String(id).replace(/[^A-Za-z0-9_]/g, "_")}`;
+}
+
+function mermaidText(s) {
+  return String(s).replace(/"/g, "#quot;").replace(/[<>]/g, c => (c === "<" ? "#lt;" : "#gt;"));
+}
+
+function renderMermaid(diagram) {
+  const lines = ["flowchart LR"];
+  lines.push(`  %% ${diagram.shown} of ${diagram.total} task(s)${diagram.hiddenEdges ? `, ${diagram.hiddenEdges} dependency edge(s) to hidden tasks omitted` : ""}`);
+
+  for (const [status, color] of Object.entries(STATUS_COLORS)) {
+    const dashed = status === "obsolete" ? ",stroke-dasharray:4 3,color:#6b7280" : "";
+    lines.push(`  classDef ${status} fill:${color}${dashed}`);
+  }
+  for (const [source, color] of Object.entries(SOURCE_COLORS)) {
+    lines.push(`  classDef ${source} stroke:${color},stroke-width:2px`);
+  }
+
+  diagram.groups.forEach((group, i) => {
+    lines.push(`  subgraph g${i}["${mermaidText(group.name)}"]`);
+    for (const t of group.tasks) {
+      const label = `${mermaidText(t.id)}<br/>${mermaidText(truncate(t.subject, MAX_LABEL))}`;
+      const shape = t.source === "oracle" ? `{{"${label}"}}` : `("${label}")`;
+      lines.push(`    ${mermaidId(t.id)}${shape}`);
+    }
+    lines.push("  end");
+  });
+
+  diagram.edges.forEach(e => lines.push(`  ${mermaidId(e.from)} --> ${mermaidId(e.to)}`));
+  diagram.edges.forEach((e, i) => {
+    if (e.critical) lines.push(`  linkStyle ${i} stroke:${CRITICAL_COLOR},stroke-width:3px`);
+  });
+
+  // A node gets both classes: fill from its status, border from its source
+  const byClass = new Map();
+  const addClass = (name, id) => {
+    if (!byClass.has(name)) byClass.set(name, []);
+    byClass.get(name).push(mermaidId(id));
+  };
+  for (const group of diagram.groups) {
+    for (const t of group.tasks) {
+      addClass(STATUS_COLORS[t.status] ? t.status : "pending", t.id);
+      addClass(SOURCE_COLORS[t.source] ? t.source : "plan", t.id);
+    }
+  }
+  for (const [name, ids] of byClass) lines.push(`  class ${ids.join(",")} ${name}`);
+
+  return lines.join("\n") + "\n";
+}
+
+function dotString(s) {
+  return `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function renderDot(diagram) {
+  const lines = ["digraph tasks {"];
+  lines.push(`  // ${diagram.shown} of ${diagram.total} task(s)${diagram.hiddenEdges ? `, ${diagram.hiddenEdges} dependency edge(s) to hidden tasks omitted` : ""}`);
+  lines.push("  rankdir=LR;");
+  lines.push('  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10, penwidth=2];');
+  lines.push('  edge [color="#9ca3af"];');
+
+  diagram.groups.forEach((group, i) => {
+    lines.push(`  subgraph cluster_${i} {`);
+    lines.push(`    label=${dotString(group.name)};`);
+    lines.push('    style="rounded,dashed"; color="#9ca3af"; fontname="Helvetica";');
+    for (const t of group.tasks) {
+      const attrs = [
+        `label=${dotString(`${t.id}\n${truncate(t.subject, MAX_LABEL)}`)}`,
+        `fillcolor=${dotString(STATUS_COLORS[t.status] || STATUS_COLORS.pending)}`,
+        `color=${dotString(SOURCE_COLORS[t.source] || SOURCE_COLORS.plan)}`,
+        `tooltip=${dotString(`${t.subject} [${t.status || "pending"}]`)}`
+      ];
+      if (t.source === "oracle") attrs.push('shape=hexagon, style="filled"');
+      if (t.status === "obsolete") attrs.push('style="rounded,filled,dashed"', 'fontcolor="#6b7280"');
+      lines.push(`    ${dotString(t.id)} [${attrs.join(", ")}];`);
+    }
+    lines.push("  }");
+  });
+
+  for (const e of diagram.edges) {
+    const attrs = e.critical ? ` [color=${dotString(CRITICAL_COLOR)}, penwidth=3]` : "";
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)}${attrs};`);
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function main() {
+  const inPath = arg("--in") || DEFAULT_GRAPH;
+  const format = arg("--format") || "mermaid";
+  const outPath = arg("--out");
+
+  if (!FORMATS.includes(format)) die(`Unknown --format "${format}" (expected one of: ${FORMATS.join(", ")})`);
+  if (!fs.existsSync(inPath)) die(`Missing file: ${inPath}`);
+
+  let graph = JSON.parse(fs.readFileSync(inPath, "utf8"));
+  const detected = detectFormat(graph);
+  if (!detected) die(`${inPath} has neither tasks[] nor phases[]`);
+  if (detected === "v2") graph = phasedToFlat(graph).graph;
+
+  const diagram = buildDiagram(graph, { tags: listArg("--tag"), sprints: listArg("--sprint") });
+  if (diagram.shown === 0) die("No tasks match the filters");
+
+  const output = format === "dot" ? renderDot(diagram) : renderMermaid(diagram);
+  if (outPath) {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, output, "utf8");
+    console.log(`✅ Wrote ${format} diagram: ${outPath} (${diagram.shown} tasks, ${diagram.edges.length} edges)`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+module.exports = { buildDiagram, renderMermaid, renderDot };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err.message);
+    if (process.env.DEBUG) console.error(err.stack);
+    process.exit(1);
+  }
+}
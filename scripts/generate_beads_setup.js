@@ -84,6 +84,13 @@ function generateRichDescription(task, allTasks) {
     parts.push('');
   }
   
+  // Files
+  if (task.files && task.files.length > 0) {
+    parts.push('FILES:');
+    parts.push(task.files.join(', '));
+    parts.push('');
+  }
+  
   // Verification
   if (task.verification && task.verification.length > 0) {
     parts.push('VERIFICATION:');
@@ -91,6 +98,21 @@ function generateRichDescription(task, allTasks) {
     parts.push('');
   }
   
+  // Acceptance criteria
+  if (task.acceptance && task.acceptance.length > 0) {
+    parts.push('ACCEPTANCE CRITERIA:');
+    task.acceptance.forEach(a => parts.push(`- ${a}`));
+    parts.push('');
+  }
+  
+  // Estimate and ownership
+  if (task.complexity || task.owner) {
+    parts.push('PLANNING:');
+    if (task.complexity) parts.push(`Complexity: ${task.complexity}/10`);
+    if (task.owner) parts.push(`Owner: ${task.owner}`);
+    parts.push('');
+  }
+  
   // Dependencies context
   if (task.blockedBy && task.blockedBy.length > 0) {
     parts.push('DEPENDENCIES:');
@@ -123,7 +145,15 @@ function priorityFromSeverity(severity) {
     'minor': 2,
     'nit': 3
   };
-  return map[severity] || 2;
+  return map[severity] ?? 2;
+}
+
+function taskPriority(task) {
+  // Explicit plan priority (0-3) wins; 0 is a valid value, so check the type
+  if (Number.isInteger(task.priority) && task.priority >= 0 && task.priority <= 3) {
+    return task.priority;
+  }
+  return priorityFromSeverity(task.severity);
 }
 
 function typeFromTags(tags) {
@@ -222,14 +252,16 @@ function generateBeadsScript(taskGraph) {
         idVarMap.set(task.id, taskVar);
         
         const richDesc = generateRichDescription(task, tasks);
-        const priority = task.priority || priorityFromSeverity(task.severity) || 2;
+        const priority = taskPriority(task);
         const type = typeFromTags(task.tags);
         
         lines.push(`# Task: ${task.id}`);
         lines.push(`${taskVar}=$(br create "${escapeForBashDoubleQuotes(task.subject)}" \\`);
         lines.push(`  -t ${type} \\`);
         lines.push(`  -p ${priority} \\`);
-        lines.push(`  --parent "$${epicVar}" \\`);
+        // Oracle issues linked as subtasks nest under their plan task
+        const parentVar = (task.parent && idVarMap.get(task.parent)) || epicVar;
+        lines.push(`  --parent "$${parentVar}" \\`);
         lines.push(`  --description "${escapeForDescription(richDesc)}" \\`);
         lines.push(`  --json | jq -r '.id')`);
         lines.push(`echo "  Task: $${taskVar} - ${escapeForBashDoubleQuotes(task.subject.substring(0, 50))}..."`);
@@ -260,13 +292,16 @@ function generateBeadsScript(taskGraph) {
       idVarMap.set(task.id, taskVar);
       
       const richDesc = generateRichDescription(task, tasks);
-      const priority = task.priority || priorityFromSeverity(task.severity) || 2;
+      const priority = taskPriority(task);
       const type = task.source === 'oracle' ? 'bug' : typeFromTags(task.tags);
       
       lines.push(`# Task: ${task.id} (${task.source || 'manual'})`);
       lines.push(`${taskVar}=$(br create "${escapeForBashDoubleQuotes(task.subject)}" \\`);
       lines.push(`  -t ${type} \\`);
       lines.push(`  -p ${priority} \\`);
+      if (task.parent && idVarMap.has(task.parent)) {
+        lines.push(`  --parent "$${idVarMap.get(task.parent)}" \\`);
+      }
       lines.push(`  --description "${escapeForDescription(richDesc)}" \\`);
       lines.push(`  --json | jq -r '.id')`);
       lines.push(`echo "  Task: $${taskVar}"`);
@@ -292,12 +327,15 @@ function generateBeadsScript(taskGraph) {
   
   let depCount = 0;
   for (const task of tasks) {
-    if (!task.blockedBy || task.blockedBy.length === 0) continue;
+    // serializeAfter (--serialize-conflicts) only orders tasks, but beads has
+    // no weaker kind of edge, so it becomes a dependency here too
+    const deps = [...new Set([...(task.blockedBy || []), ...(task.serializeAfter || [])])];
+    if (deps.length === 0) continue;
     
     const taskVar = idVarMap.get(task.id);
     if (!taskVar) continue;
     
-    for (const depId of task.blockedBy) {
+    for (const depId of deps) {
       const depVar = idVarMap.get(depId);
       if (depVar) {
         lines.push(`br dep add "$${taskVar}" "$${depVar}" 2>/dev/null || echo "  Warning: Could not add dep ${task.id} -> ${depId}"`);
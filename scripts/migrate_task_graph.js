@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Migrate a task graph between the flat (v1) and phased (v2) formats.
+ *
+ * v1: { meta, tasks: [...] }            (compile_task_graph.js default, read by ralph.sh)
+ * v2: { project, ..., phases: [...] }   (docs/TASK_GRAPH_SCHEMA.md)
+ *
+ * Usage:
+ *   node scripts/migrate_task_graph.js --in artifacts/04-task-graph.json --to v2
+ *   node scripts/migrate_task_graph.js --in artifacts/04-task-graph.json --to v1 --out /tmp/flat.json
+ *
+ * Options:
+ *   --in <path>        Graph to migrate (default: artifacts/04-task-graph.json)
+ *   --out <path>       Where to write (default: overwrite --in, keeping a .bak copy)
+ *   --to <v1|v2>       Target format (default: the other one)
+ *   --project <name>   v2 only: project name if the graph does not record one
+ *   --dry-run          Print the migration report without writing anything
+ *
+ * Nothing is dropped: unknown task fields are copied as-is, and anything that
+ * has no counterpart in the target format is stashed so that migrating back
+ * restores it (phase definitions go into meta.phases, lossy statuses into
+ * phasedStatus). Every such case is listed in the report.
+ */
+const fs = require("fs");
+const path = require("path");
+const { toPhasedTask, V2_STATUS, DEFAULT_MAX_ATTEMPTS } = require("./compile_task_graph");
+
+const DEFAULT_GRAPH = "artifacts/04-task-graph.json";
+const UNSCHEDULED_PHASE = "Additional Tasks";
+
+// Phased (v2) status -> flat (v1) status. stuck/skipped/committed have no
+// exact v1 counterpart; the original is kept in task.phasedStatus. skipped
+// becomes blocked, not completed: its work never happened, so it must not
+// satisfy its dependents (task_readiness.js), and ralph must not pick it up.
+const V1_STATUS = {
+  pending: "pending",
+  blocked: "blocked",
+  running: "in_progress",
+  stuck: "in_progress",
+  error: "failed",
+  complete: "completed",
+  committed: "completed",
+  skipped: "blocked",
+  obsolete: "obsolete"
+};
+
+// Status-tracking fields toPhasedTask() fills in, with their default values
+const TRACKING_DEFAULTS = {
+  attempt: 0,
+  maxAttempts: DEFAULT_MAX_ATTEMPTS,
+  agent: null,
+  startedAt: null,
+  lastProgress: null,
+  completedAt: null,
+  commitHash: null,
+  error: null
+};
+
+function die(msg) {
+  console.error("Error:", msg);
+  process.exit(1);
+}
+
+function arg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx === -1) return null;
+  return process.argv[idx + 1] || null;
+}
+
+function hasFlag(name) {
+  return process.argv.includes(name);
+}
+
+function detectFormat(graph) {
+  if (graph && Array.isArray(graph.phases)) return "v2";
+  if (graph && Array.isArray(graph.tasks)) return "v1";
+  return null;
+}
+
+function sprintFromName(name) {
+  const m = String(name || "").match(/Sprint\s*(\d+)/i);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Convert a flat (v1) graph into the phased (v2) format
+ */
+function flatToPhased(graph, options = {}) {
+  const report = [];
+  const { tasks, meta = {}, ...topLevel } = graph;
+  const { phases: savedPhases, phasedGraph = {}, ...restMeta } = meta;
+
+  // Phase definitions saved by a previous phasedToFlat() take precedence
+  const phaseDefs = new Map();
+  for (const def of savedPhases || []) phaseDefs.set(def.name, { ...def });
+
+  const phaseFor = (task) => {
+    if (task.sprint) {
+      const saved = [...phaseDefs.values()].find(p => p.sprint === task.sprint);
+      if (saved) return saved;
+      const goal = task.sprintGoal || "";
+      const def = {
+        name: goal ? `Sprint ${task.sprint}: ${goal}` : `Sprint ${task.sprint}`,
+        sprint: task.sprint,
+        goal,
+        demoValidation: task.sprintDemo ? [task.sprintDemo] : []
+      };
+      phaseDefs.set(def.name, def);
+      return def;
+    }
+    const name = task.phase || UNSCHEDULED_PHASE;
+    if (!phaseDefs.has(name)) {
+      phaseDefs.set(name, {
+        name,
+        sprint: null,
+        goal: name === UNSCHEDULED_PHASE ? "Oracle issues and tasks outside any sprint" : "",
+        demoValidation: []
+      });
+    }
+    return phaseDefs.get(name);
+  };
+
+  const phaseTasks = new Map();
+  for (const task of tasks) {
+    const phase = phaseFor(task);
+    const id = task.id;
+
+    // Sprint fields that disagree with the phase would be lost; keep them on the task
+    const extra = {};
+    if (task.sprint && task.sprintGoal && task.sprintGoal !== phase.goal) {
+      extra.sprintGoal = task.sprintGoal;
+      report.push(`${id}: sprintGoal differs from phase "${phase.name}", kept on task`);
+    }
+    if (task.sprint && task.sprintDemo && task.sprintDemo !== phase.demoValidation[0]) {
+      extra.sprintDemo = task.sprintDemo;
+      report.push(`${id}: sprintDemo differs from phase "${phase.name}", kept on task`);
+    }
+
+    const { phasedStatus, phase: _phase, dependsOn, ...flat } = task;
+    if (Array.isArray(dependsOn) && dependsOn.length > 0) {
+      if (task.blockedBy !== undefined) {
+        report.push(`${id}: had both blockedBy and dependsOn, merged into dependsOn`);
+      }
+      flat.blockedBy = [...new Set([...(flat.blockedBy || []), ...dependsOn])];
+    }
+
+    const phased = { ...toPhasedTask(flat), ...extra };
+    const status = task.status || "pending";
+    if (phasedStatus && V1_STATUS[phasedStatus] === status) {
+      phased.status = phasedStatus;
+    } else if (status === "completed" && task.commitHash) {
+      phased.status = "committed";
+    } else if (!V2_STATUS[status]) {
+      report.push(`${id}: unknown status "${status}" copied as-is`);
+    }
+
+    if (!phaseTasks.has(phase.name)) phaseTasks.set(phase.name, []);
+    phaseTasks.get(phase.name).push(phased);
+  }
+
+  // Sprints in order, then everything without a sprint number (saved order preserved)
+  const defs = [...phaseDefs.values()];
+  const ordered = [
+    ...defs.filter(d => d.sprint).sort((a, b) => a.sprint - b.sprint),
+    ...defs.filter(d => !d.sprint)
+  ];
+  const phases = ordered.map(def => ({ ...def, tasks: phaseTasks.get(def.name) || [] }));
+
+  const migrated = {
+    project: phasedGraph.project || options.project || path.basename(process.cwd()),
+    repo: phasedGraph.repo ?? null,
+    created: phasedGraph.created || restMeta.generatedAt || new Date().toISOString(),
+    model: phasedGraph.model ?? null,
+    ...topLevel,
+    meta: { ...restMeta, schemaVersion: "v2" },
+    phases
+  };
+
+  return { graph: migrated, report };
+}
+
+/**
+ * Convert a phased (v2) graph into the flat (v1) format
+ */
+function phasedToFlat(graph) {
+  const report = [];
+  const { project, repo, created, model, phases, meta = {}, ...topLevel } = graph;
+  const tasks = [];
+  const phaseDefs = [];
+
+  for (const phase of phases) {
+    const { tasks: phaseTaskList = [], ...def } = phase;
+    const sprint = def.sprint ?? sprintFromName(def.name);
+    if (def.sprint === undefined && sprint) {
+      report.push(`phase "${def.name}": no sprint field, using ${sprint} from its name`);
+    }
+    phaseDefs.push({ ...def, sprint: sprint || null });
+
+    const demo = Array.isArray(def.demoValidation) ? def.demoValidation : [];
+    if (demo.length > 1) {
+      report.push(`phase "${def.name}": only the first demoValidation entry fits sprintDemo; the rest are kept in meta.phases`);
+    }
+
+    for (const task of phaseTaskList) {
+      const { dependsOn, status, sprintGoal, sprintDemo, ...rest } = task;
+      const id = task.id;
+
+      // Drop tracking fields still at their defaults; flatToPhased() re-adds them
+      for (const [key, value] of Object.entries(TRACKING_DEFAULTS)) {
+        if (rest[key] === value) delete rest[key];
+      }
+
+      const flat = {
+        ...rest,
+        blockedBy: Array.isArray(dependsOn) ? dependsOn : []
+      };
+      if (rest.blockedBy !== undefined) {
+        flat.blockedBy = [...new Set([...(rest.blockedBy || []), ...flat.blockedBy])];
+        report.push(`${id}: had both blockedBy and dependsOn, merged into blockedBy`);
+      }
+
+      const v2Status = status || "pending";
+      flat.status = V1_STATUS[v2Status] || v2Status;
+      if (!V1_STATUS[v2Status]) {
+        report.push(`${id}: unknown status "${v2Status}" copied as-is`);
+      } else if (v2Status === "stuck" || v2Status === "skipped" || (v2Status === "committed" && !task.commitHash)) {
+        flat.phasedStatus = v2Status;
+        report.push(`${id}: status "${v2Status}" has no flat equivalent, written as "${flat.status}" (original kept in phasedStatus)`);
+      }
+
+      if (sprint) {
+        flat.sprint = sprint;
+        flat.sprintGoal = sprintGoal || def.goal || undefined;
+        flat.sprintDemo = sprintDemo || demo[0] || undefined;
+      } else if (def.name !== UNSCHEDULED_PHASE) {
+        flat.phase = def.name;
+        report.push(`${id}: phase "${def.name}" has no sprint number, kept in task.phase`);
+      }
+
+      tasks.push(flat);
+    }
+  }
+
+  const migrated = {
+    ...topLevel,
+    meta: {
+      ...meta,
+      schemaVersion: "v1",
+      phasedGraph: { project, repo, created, model },
+      phases: phaseDefs
+    },
+    tasks
+  };
+
+  return { graph: migrated, report };
+}
+
+function main() {
+  const inPath = arg("--in") || DEFAULT_GRAPH;
+  const outPath = arg("--out") || inPath;
+  const dryRun = hasFlag("--dry-run");
+
+  if (!fs.existsSync(inPath)) die(`Missing file: ${inPath}`);
+  const graph = JSON.parse(fs.readFileSync(inPath, "utf8"));
+  const from = detectFormat(graph);
+  if (!from) die(`${inPath} has neither tasks[] nor phases[]`);
+
+  const to = arg("--to") || (from === "v1" ? "v2" : "v1");
+  if (to !== "v1" && to !== "v2") die(`Unknown --to "${to}" (expected v1 or v2)`);
+  if (to === from) die(`${inPath} is already ${from}`);
+
+  const { graph: migrated, report } = to === "v2"
+    ? flatToPhased(graph, { project: arg("--project") })
+    : phasedToFlat(graph);
+
+  console.log(`Migrating ${inPath}: ${from} → ${to}`);
+  if (report.length > 0) {
+    console.log("");
+    console.log("⚠️  Not directly mappable:");
+    for (const r of report) {
+      console.log(`  - ${r}`);
+    }
+  }
+
+  if (dryRun) {
+    console.log("");
+    console.log("Dry run - nothing written");
+    return;
+  }
+
+  if (path.resolve(outPath) === path.resolve(inPath)) {
+    fs.copyFileSync(inPath, `${inPath}.bak`);
+    console.log(`  Backup: ${inPath}.bak`);
+  }
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(migrated, null, 2) + "\n", "utf8");
+
+  const taskCount = to === "v2"
+    ? migrated.phases.reduce((n, p) => n + p.tasks.length, 0)
+    : migrated.tasks.length;
+  console.log("");
+  console.log(`✅ Wrote ${to} task graph: ${outPath}`);
+  console.log(`   Tasks: ${taskCount}`);
+}
+
+module.exports = { flatToPhased, phasedToFlat, detectFormat, V1_STATUS };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err.message);
+    if (process.env.DEBUG) console.error(err.stack);
+    process.exit(1);
+  }
+}
@@ -41,6 +41,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
 TASK_GRAPH="$PROJECT_ROOT/artifacts/04-task-graph.json"
+# Append-only status history next to the graph (task board charts)
+TASK_EVENTS="${TASK_GRAPH%.json}.events.jsonl"
 PROGRESS_FILE="$PROJECT_ROOT/progress.txt"
 LEARNINGS_FILE="$PROJECT_ROOT/learnings.md"
 LOGS_DIR="$PROJECT_ROOT/.beads/logs"
@@ -2070,13 +2072,13 @@ get_next_task() {
 get_next_task_graph() {
   # Find first task where:
   # - status is "pending"
-  # - all blockedBy tasks are "completed"
+  # - all blockedBy (and serializeAfter) tasks are "completed"
   jq -r '
     .tasks as $all |
     ($all | map(select(.status == "completed")) | map(.id)) as $completed |
     $all | map(select(
       .status == "pending" and
-      ((.blockedBy // []) | all(. as $dep | $completed | index($dep)))
+      ((.blockedBy // []) + (.serializeAfter // []) | all(. as $dep | $completed | index($dep)))
     )) | first // empty
   ' "$TASK_GRAPH"
 }
@@ -2147,6 +2149,18 @@ get_task_by_id() {
   fi
 }
 
+# Record a status change in $TASK_EVENTS; call before the graph is rewritten
+log_task_event() {
+  local task_id="$1"
+  local to="$2"
+  local from
+  from=$(jq -r --arg id "$task_id" 'first(.tasks[] | select(.id == $id) | .status // "pending") // empty' "$TASK_GRAPH" 2>/dev/null) || from=""
+  [[ "$from" == "$to" ]] && return 0
+  jq -cn --arg task "$task_id" --arg from "$from" --arg to "$to" --arg at "$(date -u +%Y-%m-%dT%H:%M:%SZ)" \
+    '{task: $task, from: (if $from == "" then null else $from end), to: $to, at: $at, by: "ralph"}' \
+    >> "$TASK_EVENTS" 2>/dev/null || true
+}
+
 # Mark task as completed
 mark_task_completed() {
   local task_id="$1"
@@ -2154,6 +2168,7 @@ mark_task_completed() {
     br close "$task_id" --reason "completed" 2>/dev/null || true
     log_success "Closed beads task $task_id"
   else
+    log_task_event "$task_id" completed
     local tmp=$(mktemp)
     jq --arg id "$task_id" '
       .tasks = [.tasks[] | if .id == $id then .status = "completed" else . end]
@@ -2229,6 +2244,7 @@ mark_task_blocked_flaky() {
     br update "$task_id" --status blocked --comment "Blocked: flaky test (signature: $signature). Needs manual investigation." 2>/dev/null || true
     log_warn "Marked beads task $task_id as blocked (flaky test)"
   else
+    log_task_event "$task_id" blocked
     local tmp=$(mktemp)
     jq --arg id "$task_id" --arg sig "$signature" '
       .tasks = [.tasks[] | if .id == $id then .status = "blocked" | .blockedReason = "flaky_test" | .failSignature = $sig else . end]
@@ -2244,6 +2260,7 @@ mark_task_failed() {
     br update "$task_id" --status blocked --comment "Failed during Ralph execution" 2>/dev/null || true
     log_warn "Marked beads task $task_id as blocked (failed)"
   else
+    log_task_event "$task_id" failed
     local tmp=$(mktemp)
     jq --arg id "$task_id" '
       .tasks = [.tasks[] | if .id == $id then .status = "failed" else . end]
@@ -2258,6 +2275,7 @@ mark_task_in_progress() {
   if [[ "$USE_BEADS" == "true" ]]; then
     br update "$task_id" --status in_progress 2>/dev/null || true
   else
+    log_task_event "$task_id" in_progress
     local tmp=$(mktemp)
     jq --arg id "$task_id" '
       .tasks = [.tasks[] | if .id == $id then .status = "in_progress" else . end]
@@ -2351,6 +2369,7 @@ handle_stalled_task() {
   if [[ "$USE_BEADS" == "true" ]]; then
     br update "$task_id" --status open --comment "Self-healed after stall (attempt $attempt)" 2>/dev/null || true
   else
+    log_task_event "$task_id" pending
     local tmp=$(mktemp)
     jq --arg id "$task_id" --arg attempt "$attempt" '
       .tasks = [.tasks[] | if .id == $id then .status = "pending" | .healAttempt = ($attempt | tonumber) else . end]
@@ -3938,6 +3957,7 @@ main() {
       if [[ "$USE_BEADS" == "true" ]]; then
         br update "$task_id" --status open 2>/dev/null || true
       else
+        log_task_event "$task_id" pending
         local tmp=$(mktemp)
         jq --arg id "$task_id" '
           .tasks = [.tasks[] | if .id == $id then .status = "pending" else . end]
@@ -11,6 +11,7 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const { readinessOf } = require("./task_readiness");
 
 // Claude Code paths
 const CLAUDE_DIR = path.join(os.homedir(), ".claude");
@@ -128,21 +129,25 @@ function printTeamStatus(team, verbose = false) {
     }
   }
   
-  // Task summary - handle both explicit "blocked" status and inferred blocked
+  // Task summary - a pending task is blocked only while a blocker is unfinished
+  // (or unknown: "dangling"); explicit "blocked" status counts too
+  const readiness = readinessOf(tasks);
+  const stateOf = (t) => readiness.get(t.id).state;
   const byStatus = {
     completed: tasks.filter(t => t.status === "completed"),
     in_progress: tasks.filter(t => t.status === "in_progress"),
-    blocked: tasks.filter(t => t.status === "blocked" || (t.status === "pending" && (t.blockedBy?.length ?? 0) > 0)),
-    pending: tasks.filter(t => t.status === "pending" && !(t.blockedBy?.length ?? 0)),
+    blocked: tasks.filter(t => stateOf(t) === "blocked" || stateOf(t) === "dangling"),
+    pending: tasks.filter(t => stateOf(t) === "ready"),
     failed: tasks.filter(t => t.status === "failed")
   };
+  const danglingCount = tasks.filter(t => stateOf(t) === "dangling").length;
   
   console.log(`╠${"═".repeat(60)}╣`);
   console.log(`║ Tasks: ${tasks.length} total`.padEnd(61) + "║");
   console.log(`║   ✅ Completed:   ${byStatus.completed.length}`.padEnd(61) + "║");
   console.log(`║   🔄 In Progress: ${byStatus.in_progress.length}`.padEnd(61) + "║");
   console.log(`║   ⏳ Pending:     ${byStatus.pending.length}`.padEnd(61) + "║");
-  console.log(`║   🚫 Blocked:     ${byStatus.blocked.length}`.padEnd(61) + "║");
+  console.log(`║   🚫 Blocked:     ${byStatus.blocked.length}${danglingCount ? ` (${danglingCount} on unknown tasks)` : ""}`.padEnd(61) + "║");
   console.log(`║   ❌ Failed:      ${byStatus.failed.length}`.padEnd(61) + "║");
   
   // Progress bar
@@ -157,9 +162,11 @@ function printTeamStatus(team, verbose = false) {
     console.log(`╠${"═".repeat(60)}╣`);
     console.log(`║ Blocked Tasks:`.padEnd(61) + "║");
     for (const task of byStatus.blocked.slice(0, 5)) {
-      const blockers = task.blockedBy?.join(", ") || "unknown";
+      const { open, dangling } = readiness.get(task.id);
+      const blockers = open.join(", ") || (dangling.length ? "" : task.blockedReason || "status set to blocked");
       console.log(`║   #${task.id} "${task.subject?.slice(0, 30)}..."`.padEnd(61) + "║");
-      console.log(`║      → blocked by: ${blockers}`.padEnd(61) + "║");
+      if (blockers) console.log(`║      → blocked by: ${blockers}`.padEnd(61) + "║");
+      if (dangling.length) console.log(`║      → unknown blockers: ${dangling.join(", ")}`.padEnd(61) + "║");
     }
     if (byStatus.blocked.length > 5) {
       console.log(`║   ... and ${byStatus.blocked.length - 5} more`.padEnd(61) + "║");
@@ -0,0 +1,540 @@
+#!/usr/bin/env node
+/**
+ * Serve the task board and push task graph changes to it (Server-Sent Events).
+ *
+ * Usage:
+ *   node scripts/task_board_server.js
+ *   node scripts/task_board_server.js --port 8081 --graph artifacts/04-task-graph.json --beads
+ *
+ * Options:
+ *   --port <n>         Port to listen on (default: 8080)
+ *   --host <addr>      Address to listen on (default: 127.0.0.1). Anyone who can
+ *                      reach it can edit the task graph, so only widen this
+ *                      (e.g. 0.0.0.0) on a trusted network
+ *   --graph <path>     Task graph to watch (default: artifacts/04-task-graph.json)
+ *   --beads [path]     Also watch the beads export (default path: .beads/issues.jsonl)
+ *                      and show its statuses on the board; tasks and issues are
+ *                      matched by subject/title, as generate_beads_setup.js creates them
+ *
+ * Serves the repo root like `python -m http.server` does, so the board works
+ * unchanged at /tools/task-board/, except dotfiles and dot directories (.env,
+ * .git, ...), which answer 403. In addition:
+ *
+ *   GET /events            Event stream: a "graph" event with the current graph
+ *                          and its revision on connect and after every change
+ *   GET /api/graph         The same data on demand (the board's Reload button)
+ *   GET /api/events-log    Status history of the watched graph (empty if none yet)
+ *   PATCH /api/tasks/<id>  Edit a task: {status, owner, priority, blockedBy}
+ *                          (any subset). Needs `If-Match: "<revision>"`; answers
+ *                          409 if the file changed since (ralph writes it too) and
+ *                          422 for edits that break dependency rules. The graph
+ *                          is rewritten atomically (temp file + rename), and
+ *                          status changes are appended to the event log next
+ *                          to it (<graph>.events.jsonl, also written by ralph.sh)
+ *
+ * Editing is off with --beads (statuses then come from beads; use `br`) and for
+ * phased (v2) graphs. Without this server (plain static hosting) the board is
+ * read-only and falls back to manual reload.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { dependsOnTransitively } = require("./compile_task_graph");
+const { blockersOf, isDone } = require("./task_readiness");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_GRAPH = "artifacts/04-task-graph.json";
+const DEFAULT_BEADS = ".beads/issues.jsonl";
+const BOARD_PATH = "/tools/task-board/";
+const POLL_INTERVAL_MS = 250;
+const DEBOUNCE_MS = 200;
+const HEARTBEAT_MS = 25000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Statuses the board can set; "blocked" is derived from blockers, the rest belong to ralph
+const EDITABLE_STATUSES = ["pending", "in_progress", "completed"];
+
+// beads status -> graph (v1) status, same mapping as count_tasks() in ralph.sh
+const BEADS_STATUS = {
+  open: "pending",
+  in_progress: "in_progress",
+  closed: "completed",
+  blocked: "failed"
+};
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".jsonl": "application/x-ndjson; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+  ".txt": "text/plain; charset=utf-8"
+};
+
+function die(msg) {
+  console.error("Error:", msg);
+  process.exit(1);
+}
+
+function arg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx === -1) return null;
+  const val = process.argv[idx + 1];
+  if (!val || val.startsWith("--")) return null;
+  return val;
+}
+
+function hasFlag(name) {
+  return process.argv.includes(name);
+}
+
+function readBeadsIssues(beadsPath) {
+  const issues = [];
+  const text = fs.readFileSync(beadsPath, "utf8");
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      issues.push(JSON.parse(line));
+    } catch {
+      // A line being written right now; the next change event picks it up
+    }
+  }
+  return issues;
+}
+
+/**
+ * Copy beads statuses onto graph tasks with the same subject. Issues without
+ * a matching task (epics, manual issues) are ignored.
+ */
+function overlayBeads(graph, issues) {
+  const byTitle = new Map();
+  for (const issue of issues) {
+    if (issue && issue.title && !byTitle.has(issue.title)) byTitle.set(issue.title, issue);
+  }
+
+  let matched = 0;
+  const tasks = (graph.tasks || []).map(task => {
+    const issue = byTitle.get(task.subject);
+    if (!issue) return task;
+    matched++;
+    const status = BEADS_STATUS[issue.status] || task.status;
+    return { ...task, status, beadsId: issue.id };
+  });
+
+  return { graph: { ...graph, tasks }, matched };
+}
+
+// Append-only status history next to the graph: 04-task-graph.json -> 04-task-graph.events.jsonl
+function eventLogPath(graphPath) {
+  return graphPath.replace(/\.json$/, "") + ".events.jsonl";
+}
+
+function appendStatusEvent(graphPath, event) {
+  fs.appendFileSync(eventLogPath(graphPath), JSON.stringify(event) + "\n", "utf8");
+}
+
+function revisionOf(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 12);
+}
+
+/**
+ * Apply a board edit to a flat (v1) graph in place. Returns the problems that
+ * make the edit invalid; the graph is only changed when there are none.
+ *
+ * Rules: a task can only start or complete once all its blockers are
+ * completed, a task cannot be reopened while a dependent has started, and
+ * blockers must exist and must not create a cycle. The status rules only apply
+ * to edits that set a status, so a task ralph marked failed can still get an
+ * owner or a blocker. Blockers here include serializeAfter, as in
+ * task_readiness.js and ralph.sh.
+ */
+function applyTaskEdit(graph, id, changes) {
+  const tasks = graph.tasks || [];
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const task = byId.get(id);
+  if (!task) return [`Unknown task ${id}`];
+
+  const problems = [];
+  const known = new Set(["status", "owner", "priority", "blockedBy"]);
+  for (const key of Object.keys(changes)) {
+    if (!known.has(key)) problems.push(`Field "${key}" cannot be edited from the board`);
+  }
+
+  const status = changes.status !== undefined ? changes.status : task.status || "pending";
+  if (changes.status !== undefined && !EDITABLE_STATUSES.includes(status)) {
+    problems.push(`Status must be one of: ${EDITABLE_STATUSES.join(", ")}`);
+  }
+
+  let blockedBy = task.blockedBy || [];
+  if (changes.blockedBy !== undefined) {
+    if (!Array.isArray(changes.blockedBy) || !changes.blockedBy.every(b => typeof b === "string")) {
+      problems.push("blockedBy must be a list of task IDs");
+    } else {
+      blockedBy = [...new Set(changes.blockedBy)];
+      const added = blockedBy.filter(b => !(task.blockedBy || []).includes(b));
+      for (const dep of added) {
+        if (dep === id) problems.push(`${id} cannot block itself`);
+        else if (!byId.has(dep)) problems.push(`Unknown blocker ${dep}`);
+        else if (dependsOnTransitively(byId, dep, id)) problems.push(`${dep} already depends on ${id}; blocking on it would create a cycle`);
+      }
+    }
+  }
+
+  if (changes.status !== undefined && (status === "in_progress" || status === "completed")) {
+    const open = blockersOf({ ...task, blockedBy }).filter(b => byId.has(b) && !isDone(byId.get(b)));
+    if (open.length > 0) {
+      problems.push(`${id} cannot be ${status === "completed" ? "completed" : "started"} while ${open.join(", ")} ${open.length === 1 ? "is" : "are"} not completed`);
+    }
+  }
+  if (changes.status !== undefined && task.status === "completed" && status !== "completed") {
+    const started = tasks.filter(t => blockersOf(t).includes(id) && (t.status === "in_progress" || t.status === "completed"));
+    if (started.length > 0) {
+      problems.push(`${id} cannot be reopened: ${started.map(t => t.id).join(", ")} already started on top of it`);
+    }
+  }
+
+  let owner = task.owner;
+  if (changes.owner !== undefined) {
+    if (changes.owner !== null && typeof changes.owner !== "string") problems.push("owner must be a string or null");
+    else owner = changes.owner && changes.owner.trim() ? changes.owner.trim() : null;
+  }
+
+  let priority = task.priority;
+  if (changes.priority !== undefined && changes.priority !== null) {
+    if (!Number.isInteger(changes.priority) || changes.priority < 0 || changes.priority > 3) {
+      problems.push("priority must be an integer from 0 to 3");
+    } else {
+      priority = changes.priority;
+    }
+  }
+
+  if (problems.length > 0) return problems;
+
+  if (changes.status !== undefined) task.status = status;
+  task.blockedBy = blockedBy;
+  if (changes.owner !== undefined) task.owner = owner;
+  if (changes.priority === null) delete task.priority;
+  else if (priority !== undefined) task.priority = priority;
+  return [];
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function handleTaskEdit(options, id, req, res) {
+  const { graphPath, beadsPath } = options;
+  if (beadsPath) {
+    sendJson(res, 403, { error: "Statuses come from beads (--beads); edit them with br" });
+    return;
+  }
+
+  let changes;
+  try {
+    changes = JSON.parse(await readBody(req));
+  } catch (err) {
+    sendJson(res, 400, { error: `Invalid JSON body: ${err.message}` });
+    return;
+  }
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    sendJson(res, 400, { error: "Body must be a JSON object of changes" });
+    return;
+  }
+
+  // Read, check and write synchronously so two edits never interleave
+  const text = fs.readFileSync(graphPath, "utf8");
+  const revision = revisionOf(text);
+  const expected = String(req.headers["if-match"] || "").replace(/^W\//, "").replace(/"/g, "");
+  if (!expected) {
+    sendJson(res, 428, { error: "Missing If-Match revision", revision });
+    return;
+  }
+  if (expected !== revision) {
+    sendJson(res, 409, { error: "The task graph changed since the board loaded it; reloaded, please retry", revision }, { ETag: `"${revision}"` });
+    return;
+  }
+
+  const graph = JSON.parse(text);
+  if (!Array.isArray(graph.tasks)) {
+    sendJson(res, 422, { error: "Only flat (v1) task graphs can be edited from the board", problems: [] });
+    return;
+  }
+  const previousStatus = (graph.tasks.find(t => t.id === id) || {}).status;
+  const problems = applyTaskEdit(graph, id, changes);
+  if (problems.length > 0) {
+    sendJson(res, problems[0].startsWith("Unknown task") ? 404 : 422, { error: problems[0], problems, revision });
+    return;
+  }
+
+  const output = JSON.stringify(graph, null, 2) + "\n";
+  const tmp = path.join(path.dirname(graphPath), `.${path.basename(graphPath)}.${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(tmp, output, "utf8");
+    fs.renameSync(tmp, graphPath);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+
+  // Only once the change is on disk, so the history never records an edit that failed
+  const task = graph.tasks.find(t => t.id === id);
+  if (task.status !== (previousStatus || "pending")) {
+    appendStatusEvent(graphPath, { task: id, from: previousStatus || "pending", to: task.status, at: new Date().toISOString(), by: "board" });
+  }
+
+  const next = revisionOf(output);
+  console.log(`✏️  ${new Date().toLocaleTimeString()} ${id}: ${Object.entries(changes).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(", ")}`);
+  sendJson(res, 200, { task, revision: next }, { ETag: `"${next}"` });
+}
+
+function serveStatic(root, req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    res.writeHead(400);
+    res.end("Bad request");
+    return;
+  }
+  if (urlPath === "/") {
+    res.writeHead(302, { Location: BOARD_PATH });
+    res.end();
+    return;
+  }
+
+  // Dotfiles hold secrets (.env) and repo internals (.git)
+  let filePath = path.resolve(root, `.${urlPath}`);
+  if (urlPath.split("/").some(segment => segment.startsWith(".")) ||
+      (filePath !== root && !filePath.startsWith(root + path.sep))) {
+    res.writeHead(403);
+    res.end("Forbidden");
+    return;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    if (!urlPath.endsWith("/")) {
+      res.writeHead(301, { Location: `${urlPath}/` });
+      res.end();
+      return;
+    }
+    filePath = path.join(filePath, "index.html");
+  }
+
+  if (!fs.existsSync(filePath)) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+    "Cache-Control": "no-store"
+  });
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function startServer(options) {
+  const { port, host = DEFAULT_HOST, root, graphPath, beadsPath } = options;
+  const clients = new Set();
+  let payload = null;
+  let lastKey = null;
+  let timer = null;
+
+  // Graph (with beads statuses) as event data; null while the file is mid-write
+  const snapshot = () => {
+    let graph;
+    let revision;
+    try {
+      const text = fs.readFileSync(graphPath, "utf8");
+      graph = JSON.parse(text);
+      revision = revisionOf(text);
+    } catch (err) {
+      console.warn(`⚠️  Could not read ${graphPath}: ${err.message}`);
+      return null;
+    }
+    let beads = null;
+    if (beadsPath && fs.existsSync(beadsPath)) {
+      const result = overlayBeads(graph, readBeadsIssues(beadsPath));
+      graph = result.graph;
+      beads = { path: path.relative(root, beadsPath), matched: result.matched };
+    }
+    const editable = !beadsPath && Array.isArray(graph.tasks);
+    return { key: JSON.stringify({ graph, beads }), taskCount: (graph.tasks || []).length, graph, beads, revision, editable };
+  };
+
+  // What the board gets, from /events and /api/graph
+  const boardData = ({ graph, beads, revision, editable }) => ({
+    graph, beads, revision, editable,
+    source: path.relative(root, graphPath),
+    updatedAt: new Date().toISOString()
+  });
+
+  const send = (res, data) => res.write(`event: graph\ndata: ${data}\n\n`);
+
+  const refresh = () => {
+    const next = snapshot();
+    if (!next || next.key === lastKey) return;
+    const initial = lastKey === null;
+    lastKey = next.key;
+    payload = JSON.stringify(boardData(next));
+    if (initial) return;
+    console.log(`🔄 ${new Date().toLocaleTimeString()} graph changed (${next.taskCount} tasks), notifying ${clients.size} board(s)`);
+    for (const res of clients) send(res, payload);
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(refresh, DEBOUNCE_MS);
+  };
+
+  for (const file of [graphPath, beadsPath].filter(Boolean)) {
+    fs.watchFile(file, { interval: POLL_INTERVAL_MS }, schedule);
+  }
+  refresh();
+
+  const server = http.createServer((req, res) => {
+    let pathname;
+    try {
+      pathname = new URL(req.url, "http://localhost").pathname;
+    } catch {
+      res.writeHead(400);
+      res.end("Bad request");
+      return;
+    }
+    const edit = pathname.match(/^\/api\/tasks\/([^/]+)$/);
+    if (edit) {
+      if (req.method !== "PATCH") {
+        sendJson(res, 405, { error: "Use PATCH" }, { Allow: "PATCH" });
+        return;
+      }
+      let id;
+      try {
+        id = decodeURIComponent(edit[1]);
+      } catch {
+        sendJson(res, 400, { error: "Malformed task ID" });
+        return;
+      }
+      handleTaskEdit(options, id, req, res).catch((err) => {
+        sendJson(res, 500, { error: err.message });
+      });
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405);
+      res.end("Method not allowed");
+      return;
+    }
+    if (pathname === "/events") {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-store",
+        Connection: "keep-alive"
+      });
+      res.write("retry: 2000\n\n");
+      if (payload) send(res, payload);
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+    if (pathname === "/api/graph") {
+      const current = snapshot();
+      if (!current) sendJson(res, 503, { error: `Could not read ${path.relative(root, graphPath)}` });
+      else sendJson(res, 200, boardData(current), { ETag: `"${current.revision}"` });
+      return;
+    }
+    if (pathname === "/api/events-log") {
+      const logPath = eventLogPath(graphPath);
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[".jsonl"], "Cache-Control": "no-store" });
+      if (req.method === "HEAD" || !fs.existsSync(logPath)) res.end();
+      else fs.createReadStream(logPath).pipe(res);
+      return;
+    }
+    serveStatic(root, req, res);
+  });
+
+  // Comment lines keep proxies from closing idle streams
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  server.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(timer);
+    for (const file of [graphPath, beadsPath].filter(Boolean)) fs.unwatchFile(file, schedule);
+  });
+
+  server.listen(port, host, () => {
+    const shownHost = host === DEFAULT_HOST ? "localhost" : host.includes(":") ? `[${host}]` : host;
+    console.log(`📋 Task board: http://${shownHost}:${port}${BOARD_PATH}`);
+    if (host !== DEFAULT_HOST && host !== "localhost") {
+      console.log(`   ⚠️  Listening on ${host}: anyone who can reach it can read the repo and edit the task graph`);
+    }
+    console.log(`   Watching: ${path.relative(root, graphPath)}${beadsPath ? `, ${path.relative(root, beadsPath)}` : ""}`);
+    if (!payload) console.log(`   (${path.relative(root, graphPath)} not readable yet - waiting for it)`);
+  });
+
+  return server;
+}
+
+function main() {
+  const root = process.cwd();
+  const port = parseInt(arg("--port") || DEFAULT_PORT, 10);
+  if (!Number.isInteger(port) || port <= 0) die(`Invalid --port "${arg("--port")}"`);
+
+  const host = arg("--host") || DEFAULT_HOST;
+  const graphPath = path.resolve(root, arg("--graph") || DEFAULT_GRAPH);
+  const beadsPath = hasFlag("--beads") ? path.resolve(root, arg("--beads") || DEFAULT_BEADS) : null;
+
+  const server = startServer({ port, host, root, graphPath, beadsPath });
+  server.on("error", (err) => {
+    if (err.code === "EADDRINUSE") die(`Port ${port} is already in use (try --port)`);
+    if (err.code === "EADDRNOTAVAIL") die(`Cannot listen on ${host} (check --host)`);
+    die(err.message);
+  });
+  process.on("SIGINT", () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+module.exports = { overlayBeads, readBeadsIssues, applyTaskEdit, eventLogPath, startServer, BEADS_STATUS, EDITABLE_STATUSES };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err.message);
+    if (process.env.DEBUG) console.error(err.stack);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * Compare two task graphs, e.g. before and after an Oracle round.
+ *
+ * Usage:
+ *   node scripts/task_graph_diff.js <before.json> <after.json>
+ *   node scripts/task_graph_diff.js artifacts/04-task-graph.json.bak artifacts/04-task-graph.json --format json
+ *
+ * Options:
+ *   --format <md|json>  Markdown for PR descriptions (default) or JSON for scripts
+ *   --out <path>        Write the report to a file instead of stdout
+ *
+ * Reports:
+ *   - Added and removed tasks (removed/added pairs with similar subjects are
+ *     listed as probably reworded, since hash IDs change with the subject)
+ *   - Changed subjects, dependencies, status and severity, plus which other
+ *     fields changed
+ *   - Critical path before and after (see compile_task_graph.js analyzeSchedule)
+ *   - New and resolved compiler warnings
+ *
+ * Either file may be flat (v1) or phased (v2); phased graphs are compared in
+ * the flat shape (dependsOn as blockedBy, v1 status names).
+ */
+const fs = require("fs");
+const path = require("path");
+const { analyzeSchedule, diffTaskGraphs, subjectSimilarity } = require("./compile_task_graph");
+const { phasedToFlat, detectFormat } = require("./migrate_task_graph");
+
+const FORMATS = ["md", "json"];
+
+// Same threshold --merge-with uses to match a reworded task
+const REWORD_THRESHOLD = 0.6;
+
+// Fields reported in their own sections; anything else is listed by name
+const TRACKED_FIELDS = ["subject", "blockedBy", "status", "severity"];
+
+function die(msg) {
+  console.error("Error:", msg);
+  process.exit(1);
+}
+
+function arg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx === -1) return null;
+  return process.argv[idx + 1] || null;
+}
+
+function loadGraph(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  let graph;
+  try {
+    graph = JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (err) {
+    die(`Invalid JSON in ${p}: ${err.message}`);
+  }
+  const format = detectFormat(graph);
+  if (!format) die(`${p} has neither tasks[] nor phases[]`);
+  return format === "v2" ? phasedToFlat(graph).graph : graph;
+}
+
+/**
+ * Pair removed and added tasks whose subjects are similar (best match first)
+ */
+function findRewordings(removed, added) {
+  const candidates = [];
+  for (const r of removed) {
+    for (const a of added) {
+      if ((r.source || "plan") !== (a.source || "plan")) continue;
+      const score = subjectSimilarity(r.subject, a.subject);
+      if (score >= REWORD_THRESHOLD) candidates.push({ from: r, to: a, score });
+    }
+  }
+  candidates.sort((x, y) => y.score - x.score);
+
+  const used = new Set();
+  const pairs = [];
+  for (const c of candidates) {
+    if (used.has(c.from) || used.has(c.to)) continue;
+    used.add(c.from);
+    used.add(c.to);
+    pairs.push(c);
+  }
+  return pairs;
+}
+
+/**
+ * Structured diff of two flat graphs
+ */
+function diffGraphs(before, after) {
+  const base = diffTaskGraphs(before, after);
+  const oldById = new Map(before.tasks.map(t => [t.id, t]));
+
+  const rewordings = findRewordings(base.removed, base.added);
+  const reworded = new Set(rewordings.flatMap(p => [p.from, p.to]));
+  const brief = (t) => ({ id: t.id, subject: t.subject, status: t.status, source: t.source || "plan" });
+
+  const subjects = [];
+  const dependencies = [];
+  const statuses = [];
+  const severities = [];
+  const otherFields = [];
+
+  for (const { task, fields } of base.changed) {
+    const old = oldById.get(task.id);
+    if (fields.includes("subject")) {
+      subjects.push({ id: task.id, from: old.subject, to: task.subject });
+    }
+    if (fields.includes("blockedBy")) {
+      const was = new Set(old.blockedBy || []);
+      const now = new Set(task.blockedBy || []);
+      dependencies.push({
+        id: task.id,
+        subject: task.subject,
+        added: [...now].filter(d => !was.has(d)),
+        removed: [...was].filter(d => !now.has(d))
+      });
+    }
+    if (fields.includes("status")) {
+      statuses.push({ id: task.id, subject: task.subject, from: old.status, to: task.status });
+    }
+    if (fields.includes("severity")) {
+      severities.push({ id: task.id, subject: task.subject, from: old.severity ?? null, to: task.severity ?? null });
+    }
+    const other = fields.filter(f => !TRACKED_FIELDS.includes(f));
+    if (other.length > 0) otherFields.push({ id: task.id, subject: task.subject, fields: other });
+  }
+
+  // Dependency changes that only follow an ID change are not interesting
+  const renamed = new Map(rewordings.map(p => [p.from.id, p.to.id]));
+  for (const d of dependencies) {
+    const followed = d.removed.filter(id => d.added.includes(renamed.get(id)));
+    d.removed = d.removed.filter(id => !followed.includes(id));
+    d.added = d.added.filter(id => !followed.some(r => renamed.get(r) === id));
+  }
+
+  const pathBefore = analyzeSchedule(before.tasks).criticalPath;
+  const pathAfter = analyzeSchedule(after.tasks).criticalPath;
+  const beforeIds = new Set(pathBefore.tasks);
+  const afterIds = new Set(pathAfter.tasks);
+  const newById = new Map(after.tasks.map(t => [t.id, t]));
+  const pathSubjects = {};
+  for (const id of beforeIds) pathSubjects[id] = oldById.get(id).subject;
+  for (const id of afterIds) pathSubjects[id] = newById.get(id).subject;
+
+  return {
+    counts: { before: before.tasks.length, after: after.tasks.length },
+    added: base.added.filter(t => !reworded.has(t)).map(brief),
+    removed: base.removed.filter(t => !reworded.has(t)).map(brief),
+    reworded: rewordings.map(p => ({ from: brief(p.from), to: brief(p.to), score: Math.round(p.score * 100) / 100 })),
+    subjects,
+    dependencies: dependencies.filter(d => d.added.length > 0 || d.removed.length > 0),
+    statuses,
+    severities,
+    otherFields,
+    criticalPath: {
+      changed: pathBefore.tasks.join(",") !== pathAfter.tasks.join(",") || pathBefore.length !== pathAfter.length,
+      before: pathBefore,
+      after: pathAfter,
+      joined: pathAfter.tasks.filter(id => !beforeIds.has(id)),
+      left: pathBefore.tasks.filter(id => !afterIds.has(id)),
+      subjects: pathSubjects
+    },
+    warnings: { added: base.newWarnings, resolved: base.resolvedWarnings }
+  };
+}
+
+function escapeCell(s) {
+  return String(s ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function renderMarkdown(diff, labels) {
+  const lines = [];
+  const subjectOf = new Map(Object.entries(diff.criticalPath.subjects));
+  for (const t of [...diff.added, ...diff.removed]) subjectOf.set(t.id, t.subject);
+  for (const p of diff.reworded) {
+    subjectOf.set(p.from.id, p.from.subject);
+    subjectOf.set(p.to.id, p.to.subject);
+  }
+  const label = (id) => subjectOf.has(id) ? `\`${id}\` ${subjectOf.get(id)}` : `\`${id}\``;
+
+  lines.push("## Task graph diff");
+  lines.push("");
+  lines.push(`\`${labels.before}\` → \`${labels.after}\``);
+  lines.push("");
+  lines.push("| | Count |");
+  lines.push("|---|---|");
+  lines.push(`| Tasks | ${diff.counts.before} → ${diff.counts.after} |`);
+  lines.push(`| Added | ${diff.added.length} |`);
+  lines.push(`| Removed | ${diff.removed.length} |`);
+  lines.push(`| Reworded | ${diff.reworded.length + diff.subjects.length} |`);
+  lines.push(`| Dependency changes | ${diff.dependencies.length} |`);
+  lines.push(`| Status changes | ${diff.statuses.length} |`);
+  lines.push(`| Severity changes | ${diff.severities.length} |`);
+  lines.push("");
+
+  const section = (title, items, render) => {
+    if (items.length === 0) return;
+    lines.push(`### ${title}`);
+    lines.push("");
+    for (const item of items) lines.push(render(item));
+    lines.push("");
+  };
+
+  section("Added", diff.added, t => `- \`${t.id}\` ${t.subject} (${t.source}, ${t.status})`);
+  section("Removed", diff.removed, t => `- \`${t.id}\` ${t.subject} (${t.source}, was ${t.status})`);
+  section("Reworded", [
+    ...diff.subjects.map(s => `- \`${s.id}\` "${s.from}" → "${s.to}"`),
+    ...diff.reworded.map(p => `- \`${p.from.id}\` "${p.from.subject}" → \`${p.to.id}\` "${p.to.subject}" (probably the same task, ${Math.round(p.score * 100)}% similar)`)
+  ], line => line);
+  section("Dependencies", diff.dependencies, d => {
+    const parts = [
+      ...d.added.map(id => `+ ${label(id)}`),
+      ...d.removed.map(id => `− ${label(id)}`)
+    ];
+    return `- \`${d.id}\` ${d.subject}: ${parts.join(", ")}`;
+  });
+
+  if (diff.statuses.length > 0) {
+    lines.push("### Status");
+    lines.push("");
+    lines.push("| Task | Before | After |");
+    lines.push("|------|--------|-------|");
+    for (const s of diff.statuses) lines.push(`| \`${s.id}\` ${escapeCell(s.subject)} | ${s.from} | ${s.to} |`);
+    lines.push("");
+  }
+  if (diff.severities.length > 0) {
+    lines.push("### Severity");
+    lines.push("");
+    lines.push("| Task | Before | After |");
+    lines.push("|------|--------|-------|");
+    for (const s of diff.severities) lines.push(`| \`${s.id}\` ${escapeCell(s.subject)} | ${s.from || "-"} | ${s.to || "-"} |`);
+    lines.push("");
+  }
+  section("Other changes", diff.otherFields, o => `- \`${o.id}\` ${o.subject}: ${o.fields.join(", ")}`);
+
+  const cp = diff.criticalPath;
+  lines.push("### Critical path");
+  lines.push("");
+  const weighting = cp.before.weightedBy === cp.after.weightedBy
+    ? `by ${cp.after.weightedBy}`
+    : `by ${cp.before.weightedBy} before, ${cp.after.weightedBy} after`;
+  if (!cp.changed) {
+    lines.push(`Unchanged: ${cp.after.tasks.length} task(s), length ${cp.after.length} (${weighting}).`);
+  } else {
+    lines.push(`Length ${cp.before.length} → ${cp.after.length} (${weighting}), ${cp.before.tasks.length} → ${cp.after.tasks.length} task(s).`);
+    lines.push("");
+    lines.push(`- Before: ${cp.before.tasks.map(id => `\`${id}\``).join(" → ") || "(empty)"}`);
+    lines.push(`- After: ${cp.after.tasks.map(id => `\`${id}\``).join(" → ") || "(empty)"}`);
+    if (cp.joined.length > 0) lines.push(`- Now on the path: ${cp.joined.map(label).join(", ")}`);
+    if (cp.left.length > 0) lines.push(`- No longer on the path: ${cp.left.map(label).join(", ")}`);
+  }
+  lines.push("");
+
+  section("New warnings", diff.warnings.added, w => `- ${w}`);
+  if (diff.warnings.resolved.length > 0) {
+    lines.push(`${diff.warnings.resolved.length} warning(s) resolved.`);
+    lines.push("");
+  }
+
+  // Exactly one trailing newline, whichever section came last
+  return lines.join("\n").replace(/\n*$/, "\n");
+}
+
+function main() {
+  const format = arg("--format") || "md";
+  const outPath = arg("--out");
+  const valueArgs = new Set([format, outPath]);
+  const files = process.argv.slice(2).filter((a, i, all) =>
+    !a.startsWith("--") && !(valueArgs.has(a) && ["--format", "--out"].includes(all[i - 1]))
+  );
+
+  if (files.length !== 2) die("Usage: node scripts/task_graph_diff.js <before.json> <after.json> [--format md|json] [--out <path>]");
+  if (!FORMATS.includes(format)) die(`Unknown --format "${format}" (expected one of: ${FORMATS.join(", ")})`);
+
+  const [beforePath, afterPath] = files;
+  const diff = diffGraphs(loadGraph(beforePath), loadGraph(afterPath));
+  const report = format === "json"
+    ? JSON.stringify({ before: beforePath, after: afterPath, ...diff }, null, 2) + "\n"
+    : renderMarkdown(diff, { before: beforePath, after: afterPath });
+
+  if (outPath) {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, report, "utf8");
+    console.log(`✅ Wrote task graph diff: ${outPath}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+module.exports = { diffGraphs, renderMarkdown };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err.message);
+    if (process.env.DEBUG) console.error(err.stack);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Task readiness, shared by compile_task_graph.js, swarm_status.js and the
+ * task board (loaded there with a <script> tag as window.TaskReadiness).
+ *
+ * A task's blockers are its blockedBy (v1) or dependsOn (v2) IDs, plus the
+ * serializeAfter IDs --serialize-conflicts ordered it behind. An open
+ * task is only blocked while one of them is not done; a blocker ID that is
+ * not in the graph makes it "dangling", which no amount of work resolves.
+ *
+ * States:
+ *   completed    done (completed, or complete/committed in v2)
+ *   ready        pending and every blocker is done
+ *   blocked      waiting on a blocker that is not done, or explicitly set to
+ *                "blocked" (ralph does this for flaky tasks)
+ *   dangling     pending with at least one unknown blocker ID
+ *   anything else is the task's own status (in_progress, failed, obsolete,
+ *   running, stuck, error, skipped)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TaskReadiness = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Statuses (v1 and v2) that satisfy the tasks depending on them. A skipped
+  // v2 task does not: its work never happened (same as isUnblocked in the docs)
+  const DONE_STATUSES = ["completed", "complete", "committed"];
+
+  function blockersOf(task) {
+    return [...new Set([...(task.blockedBy || task.dependsOn || []), ...(task.serializeAfter || [])])];
+  }
+
+  function isDone(task) {
+    return DONE_STATUSES.includes(task.status);
+  }
+
+  /**
+   * Readiness of one task. `byId` maps every task ID in the graph to its task.
+   * Returns { state, open, dangling }: the blockers not done yet and the
+   * blocker IDs missing from the graph.
+   */
+  function taskReadiness(task, byId) {
+    const blockers = blockersOf(task);
+    const dangling = blockers.filter(id => !byId.has(id));
+    const open = blockers.filter(id => byId.has(id) && !isDone(byId.get(id)));
+    const status = task.status || "pending";
+
+    let state = status;
+    if (isDone(task)) state = "completed";
+    else if (status === "blocked") state = "blocked";
+    else if (status === "pending") state = dangling.length > 0 ? "dangling" : open.length > 0 ? "blocked" : "ready";
+
+    return { state, open, dangling };
+  }
+
+  // Readiness of every task, keyed by task ID
+  function readinessOf(tasks) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    return new Map(tasks.map(t => [t.id, taskReadiness(t, byId)]));
+  }
+
+  // Number of tasks per state
+  function countReadiness(tasks) {
+    const counts = { ready: 0, blocked: 0, dangling: 0, completed: 0 };
+    for (const info of readinessOf(tasks).values()) {
+      counts[info.state] = (counts[info.state] || 0) + 1;
+    }
+    return counts;
+  }
+
+  return { DONE_STATUSES, blockersOf, isDone, taskReadiness, readinessOf, countReadiness };
+});
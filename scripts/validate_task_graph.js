@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Validate a task graph against docs/task-graph.schema.json.
+ *
+ * Usage:
+ *   node scripts/validate_task_graph.js [artifacts/04-task-graph.json] [--strict] [--json]
+ *
+ * Checks:
+ *   - Schema: required fields, types, unknown statuses/severities, value ranges
+ *   - Duplicate task ids (across all phases for v2)
+ *   - allowedPaths entries that are not usable globs
+ *   - Dependencies on unknown ids or on the task itself (warnings)
+ *
+ * Every violation is reported with its JSON path, e.g. $.tasks[3].status
+ *
+ * Options:
+ *   --strict  Treat warnings as failures
+ *   --json    Print { valid, errors, warnings } as JSON
+ *
+ * Returns:
+ *   - Exit code 0: Valid
+ *   - Exit code 1: Errors found (or warnings with --strict)
+ *   - Exit code 2: File not found or not parseable JSON
+ */
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_PATH = path.join(__dirname, "..", "docs", "task-graph.schema.json");
+const DEFAULT_GRAPH = "artifacts/04-task-graph.json";
+
+let cachedSchema = null;
+
+function loadSchema() {
+  if (!cachedSchema) cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+  return cachedSchema;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function childPath(base, key) {
+  return typeof key === "number"
+    ? `${base}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function resolveRef(schema, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node[key], schema);
+}
+
+/**
+ * Check a value against a (sub)schema. Supports the JSON Schema keywords used
+ * in docs/task-graph.schema.json: $ref, allOf, type, enum, required,
+ * properties, additionalProperties, items, minimum, maximum, minLength and
+ * format: date-time.
+ */
+function checkSchema(root, node, value, jsonPath, errors) {
+  if (node.$ref) {
+    checkSchema(root, resolveRef(root, node.$ref), value, jsonPath, errors);
+  }
+  for (const sub of node.allOf || []) {
+    checkSchema(root, sub, value, jsonPath, errors);
+  }
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(t => typeMatches(value, t))) {
+      errors.push({ path: jsonPath, message: `expected ${types.join(" or ")}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({ path: jsonPath, message: `unknown value ${JSON.stringify(value)} (expected one of: ${node.enum.join(", ")})` });
+  }
+
+  if (typeof value === "number") {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push({ path: jsonPath, message: `${value} is below the minimum of ${node.minimum}` });
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      errors.push({ path: jsonPath, message: `${value} is above the maximum of ${node.maximum}` });
+    }
+  }
+
+  if (typeof value === "string") {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      errors.push({ path: jsonPath, message: "must not be empty" });
+    }
+    if (node.format === "date-time" && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push({ path: jsonPath, message: `not an ISO date-time: ${JSON.stringify(value)}` });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of node.required || []) {
+      if (!(key in value)) errors.push({ path: childPath(jsonPath, key), message: "is required" });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = node.properties?.[key] || (typeof node.additionalProperties === "object" ? node.additionalProperties : null);
+      if (sub && v !== undefined) checkSchema(root, sub, v, childPath(jsonPath, key), errors);
+    }
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, i) => checkSchema(root, node.items, item, childPath(jsonPath, i), errors));
+  }
+}
+
+/**
+ * Describe why an allowedPaths entry is not a usable glob (null if it is)
+ */
+function globProblem(pattern) {
+  if (typeof pattern !== "string") return null; // reported by the schema check
+  if (!pattern.trim()) return "empty pattern";
+  if (pattern !== pattern.trim()) return "leading or trailing whitespace";
+  if (pattern.includes("\\")) return "backslash in path (use forward slashes)";
+
+  let square = 0;
+  let curly = 0;
+  for (const c of pattern) {
+    if (c === "[") square++;
+    if (c === "]") square--;
+    if (c === "{") curly++;
+    if (c === "}") curly--;
+    if (square < 0 || square > 1) return "unbalanced [ ]";
+    if (curly < 0) return "unbalanced { }";
+  }
+  if (square !== 0) return "unbalanced [ ]";
+  if (curly !== 0) return "unbalanced { }";
+  if (/\[\]/.test(pattern)) return "empty character class []";
+
+  const segments = pattern.split("/");
+  for (const seg of segments) {
+    if (seg === "..") return "parent directory (..) escapes the repo";
+    if (seg.includes("**") && seg !== "**") return `"**" must be a whole path segment (got "${seg}")`;
+  }
+  return null;
+}
+
+/**
+ * Collect tasks with their JSON paths and dependency field, for either format
+ */
+function listTasks(graph) {
+  if (Array.isArray(graph.phases)) {
+    return graph.phases.flatMap((phase, p) =>
+      (Array.isArray(phase?.tasks) ? phase.tasks : []).map((task, t) => ({
+        task,
+        path: `$.phases[${p}].tasks[${t}]`,
+        depsField: "dependsOn"
+      }))
+    );
+  }
+  return (Array.isArray(graph.tasks) ? graph.tasks : []).map((task, t) => ({
+    task,
+    path: `$.tasks[${t}]`,
+    depsField: "blockedBy"
+  }));
+}
+
+/**
+ * Validate a parsed task graph
+ *
+ * Options:
+ *   checkRefs  Warn about dependencies on unknown ids / self (default: true).
+ *              compile_task_graph.js turns this off because validateGraph()
+ *              already reports invalid blockers.
+ *   globWarnings  Report unusable allowedPaths globs as warnings instead of
+ *              errors (compile_task_graph.js: a bad glob in the plan should
+ *              not stop the graph from being written)
+ *
+ * Returns { format, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+function validateTaskGraph(graph, options = {}) {
+  const { checkRefs = true, globWarnings = false } = options;
+  const errors = [];
+  const warnings = [];
+
+  if (typeOf(graph) !== "object") {
+    errors.push({ path: "$", message: `expected object, got ${typeOf(graph)}` });
+    return { format: null, errors, warnings };
+  }
+
+  const schema = loadSchema();
+  const format = Array.isArray(graph.phases) ? "v2" : "v1";
+  checkSchema(schema, schema.$defs[format === "v2" ? "phasedGraph" : "flatGraph"], graph, "$", errors);
+
+  const entries = listTasks(graph).filter(e => typeOf(e.task) === "object");
+
+  // Duplicate ids: the later task would silently win in every Map-based lookup
+  const firstSeen = new Map();
+  for (const { task, path: p } of entries) {
+    if (typeof task.id !== "string") continue;
+    if (firstSeen.has(task.id)) {
+      errors.push({ path: `${p}.id`, message: `duplicate id "${task.id}" (first used at ${firstSeen.get(task.id)})` });
+    } else {
+      firstSeen.set(task.id, p);
+    }
+  }
+
+  for (const { task, path: p, depsField } of entries) {
+    if (Array.isArray(task.allowedPaths)) {
+      task.allowedPaths.forEach((pattern, i) => {
+        const problem = globProblem(pattern);
+        if (problem) (globWarnings ? warnings : errors).push({ path: `${p}.allowedPaths[${i}]`, message: `invalid glob ${JSON.stringify(pattern)}: ${problem}` });
+      });
+    }
+
+    if (!checkRefs) continue;
+    for (const field of [depsField, "serializeAfter"]) {
+      if (!Array.isArray(task[field])) continue;
+      task[field].forEach((dep, i) => {
+        if (typeof dep !== "string") return;
+        if (dep === task.id) {
+          warnings.push({ path: `${p}.${field}[${i}]`, message: "task depends on itself" });
+        } else if (!firstSeen.has(dep)) {
+          warnings.push({ path: `${p}.${field}[${i}]`, message: `unknown task id "${dep}"` });
+        }
+      });
+    }
+  }
+
+  return { format, errors, warnings };
+}
+
+function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  const asJson = args.includes("--json");
+  const graphPath = args.find(a => !a.startsWith("--")) || DEFAULT_GRAPH;
+
+  let graph;
+  try {
+    graph = JSON.parse(fs.readFileSync(graphPath, "utf8"));
+  } catch (err) {
+    const message = fs.existsSync(graphPath) ? `Invalid JSON in ${graphPath}: ${err.message}` : `Missing file: ${graphPath}`;
+    if (asJson) console.log(JSON.stringify({ valid: false, errors: [{ path: "$", message }], warnings: [] }));
+    else console.error("Error:", message);
+    process.exit(2);
+  }
+
+  const { format, errors, warnings } = validateTaskGraph(graph);
+  const valid = errors.length === 0 && (!strict || warnings.length === 0);
+
+  if (asJson) {
+    console.log(JSON.stringify({ valid, format, errors, warnings }, null, 2));
+  } else {
+    console.log(`Validating ${graphPath} (${format || "unknown format"})`);
+    if (errors.length > 0) {
+      console.log("");
+      console.log(`❌ Errors (${errors.length}):`);
+      for (const e of errors) console.log(`  - ${formatIssue(e)}`);
+    }
+    if (warnings.length > 0) {
+      console.log("");
+      console.log(`⚠️  Warnings (${warnings.length}):`);
+      for (const w of warnings) console.log(`  - ${formatIssue(w)}`);
+    }
+    console.log("");
+    if (valid) console.log("✅ Task graph is valid");
+    else if (errors.length === 0) console.log("❌ Warnings are fatal in --strict mode");
+    else console.log("❌ Task graph is invalid");
+  }
+
+  process.exit(valid ? 0 : 1);
+}
+
+module.exports = { validateTaskGraph, globProblem, formatIssue };
+
+if (require.main === module) {
+  main();
+}
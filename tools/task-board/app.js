@@ -1,6 +1,40 @@
 // Task Board - Kanban view of task-graph.json
 
 const GRAPH_URL = "../../artifacts/04-task-graph.json";
+// Pushed graph updates, served by scripts/task_board_server.js
+const EVENTS_URL = "../../events";
+// The graph that server watches (--graph, beads statuses) and its status
+// history; with plain static hosting the board reads GRAPH_URL and EVENTS_LOG_URL
+const GRAPH_API_URL = "../../api/graph";
+const EVENTS_LOG_API_URL = "../../api/events-log";
+const MOVE_ANIMATION_MS = 450;
+const TASKS_URL = "../../api/tasks";
+const NOTICE_MS = 5000;
+
+// Columns cards can be dropped on, and the status a drop sets
+const DROP_STATUS = { Pending: "pending", "In Progress": "in_progress", Completed: "completed" };
+
+// Filled in from the live server's events; without it the board is read-only
+const editing = { enabled: false, revision: null };
+// Repo path of the graph on display, recorded in JSON exports
+let graphSource = GRAPH_URL.replace(/^(\.\.\/)+/, "");
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Dependency graph layout (px)
+const DAG_NODE_W = 132;
+const DAG_NODE_H = 34;
+const DAG_GAP_X = 64;
+const DAG_GAP_Y = 14;
+const DAG_PAD = 16;
+
+// Status history written next to the graph by ralph.sh and the board server
+const EVENTS_LOG_URL = "../../artifacts/04-task-graph.events.jsonl";
+const CHART_W = 560;
+const CHART_H = 200;
+const CHART_PAD = { top: 12, right: 14, bottom: 26, left: 34 };
+const MAX_CHART_DAYS = 90;
+const THROUGHPUT_WINDOW_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 function el(tag, attrs = {}, ...kids) {
   const e = document.createElement(tag);
@@ -16,8 +50,39 @@ function el(tag, attrs = {}, ...kids) {
   return e;
 }
 
+function svgEl(tag, attrs = {}, ...kids) {
+  const e = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k.startsWith("on")) e.addEventListener(k.slice(2).toLowerCase(), v);
+    else e.setAttribute(k, v);
+  }
+  for (const kid of kids) {
+    if (kid === null || kid === undefined) continue;
+    e.appendChild(typeof kid === "string" ? document.createTextNode(kid) : kid);
+  }
+  return e;
+}
+
+// Status events, oldest first; a missing log (nothing recorded yet) is no events
+async function fetchEvents(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) return [];
+  const events = [];
+  for (const line of (await res.text()).split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event.task && event.to && !Number.isNaN(Date.parse(event.at))) events.push(event);
+    } catch {
+      // Partially written last line
+    }
+  }
+  return events.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
 async function fetchJson(url) {
-  const res = await fetch(url);
+  // no-store: the graph is rewritten in place (compile --watch), never serve a cached copy
+  const res = await fetch(url, { cache: "no-store" });
   if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
   return res.json();
 }
@@ -26,12 +91,12 @@ function uniqueSorted(arr) {
   return [...new Set(arr)].sort();
 }
 
-function setOptions(sel, values) {
+function setOptions(sel, values, label = v => v) {
   const current = sel.value;
   // Keep first option (all)
   while (sel.options.length > 1) sel.remove(1);
   for (const v of values) {
-    sel.appendChild(el("option", { value: v }, v));
+    sel.appendChild(el("option", { value: v }, label(v)));
   }
   // Restore previous selection if still present
   if ([...sel.options].some(o => o.value === current)) {
@@ -41,6 +106,50 @@ function setOptions(sel, values) {
   }
 }
 
+// Readiness of every task in the loaded graph (scripts/task_readiness.js)
+let readiness = new Map();
+
+// Board status for a task: pending until a blocker is unfinished ("blocked")
+// or unknown ("dangling"); other statuses as they are
+function effectiveStatus(task) {
+  const info = readiness.get(task.id);
+  if (!info) return task.status || "pending";
+  return info.state === "ready" ? "pending" : info.state;
+}
+
+// Sprint filter value for a task: the sprint number, or "none" outside any sprint
+function sprintKey(task) {
+  return task.sprint ? String(task.sprint) : "none";
+}
+
+/**
+ * Per-sprint progress over all tasks (not just the filtered ones), in sprint
+ * order with tasks outside any sprint last. Obsolete tasks do not count.
+ * A sprint is demo-ready once every task in it is completed.
+ */
+function sprintProgress(tasks) {
+  const sprints = new Map();
+  for (const t of tasks) {
+    const key = sprintKey(t);
+    if (!sprints.has(key)) {
+      sprints.set(key, { key, sprint: t.sprint || null, goal: "", demo: "", total: 0, completed: 0 });
+    }
+    const s = sprints.get(key);
+    s.goal = s.goal || t.sprintGoal || "";
+    s.demo = s.demo || t.sprintDemo || "";
+    if (t.status === "obsolete") continue;
+    s.total++;
+    if (t.status === "completed") s.completed++;
+  }
+  return [...sprints.values()]
+    .map(s => ({
+      ...s,
+      percent: s.total ? Math.round((s.completed / s.total) * 100) : 0,
+      demoReady: s.sprint !== null && s.total > 0 && s.completed === s.total
+    }))
+    .sort((a, b) => (a.sprint || Infinity) - (b.sprint || Infinity));
+}
+
 function applyFilters(tasks, filters) {
   return tasks.filter(t => {
     if (filters.q) {
@@ -59,20 +168,18 @@ function applyFilters(tasks, filters) {
       const have = (t.tags || []).map(x => String(x).toLowerCase());
       if (!have.includes(want)) return false;
     }
-    // Status filtering should match the board semantics:
-    // - Tasks with status=pending AND blockedBy>0 are shown as "blocked"
-    if (filters.status) {
-      const status = t.status || "pending";
-      const effectiveStatus = (status === "pending" && t.blockedBy && t.blockedBy.length > 0)
-        ? "blocked"
-        : status;
-      if (effectiveStatus !== filters.status) return false;
-    }
+    // Status filtering should match the board semantics: "blocked" is the
+    // Blocked column, which also holds tasks with dangling blockers
+    const status = effectiveStatus(t);
+    if (filters.status && status !== filters.status && !(filters.status === "blocked" && (status === "dangling" || status === "failed"))) return false;
     if (filters.source && t.source !== filters.source) return false;
+    if (filters.sprint && sprintKey(t) !== filters.sprint) return false;
     return true;
   });
 }
 
+// Obsolete tasks (dropped from the plan, kept by --merge-with) are not work and
+// get no column; failed tasks wait for someone to look at them, like blocked ones
 function bucketize(tasks) {
   const cols = {
     pending: [],
@@ -82,11 +189,10 @@ function bucketize(tasks) {
   };
   
   for (const t of tasks) {
-    const status = t.status || "pending";
-    // Check if blocked
-    if (status === "pending" && t.blockedBy && t.blockedBy.length > 0) {
-      cols.blocked.push(t);
-    } else if (cols[status]) {
+    const state = effectiveStatus(t);
+    if (state === "obsolete") continue;
+    const status = state === "dangling" || state === "failed" ? "blocked" : state;
+    if (cols[status]) {
       cols[status].push(t);
     } else {
       cols.pending.push(t);
@@ -107,22 +213,47 @@ function renderCard(task) {
   if (task.source) {
     pills.push(el("span", { class: `pill ${task.source}` }, task.source));
   }
+  if (task.status === "failed") {
+    pills.push(el("span", { class: "pill failed" }, "failed"));
+  }
   
   const tags = (task.tags || []).map(tag => 
     el("span", { class: "muted" }, `#${tag}`)
   );
   
-  const blockedInfo = task.blockedBy && task.blockedBy.length > 0
-    ? el("div", { class: "muted" }, `⏳ Blocked by: ${task.blockedBy.join(", ")}`)
+  const { open = [], dangling = [] } = readiness.get(task.id) || {};
+  const blockedInfo = open.length > 0 && !TaskReadiness.isDone(task)
+    ? el("div", { class: "muted" }, `⏳ Blocked by: ${open.join(", ")}`)
+    : null;
+  const danglingInfo = dangling.length > 0
+    ? el("div", { class: "dangling" }, `⚠️ Unknown blockers: ${dangling.join(", ")}`)
     : null;
   
-  return el("div", { class: `card ${severityClass}` },
+  return el("div", {
+    class: `card ${severityClass}`,
+    "data-id": task.id,
+    tabindex: 0,
+    role: "button",
+    draggable: editing.enabled ? "true" : "false",
+    onclick: () => openTask(task.id),
+    onkeydown: (ev) => {
+      // Only the card itself, not a link or button inside it
+      if (ev.target !== ev.currentTarget || (ev.key !== "Enter" && ev.key !== " ")) return;
+      ev.preventDefault();
+      openTask(task.id);
+    },
+    ondragstart: (ev) => {
+      ev.dataTransfer.setData("text/plain", task.id);
+      ev.dataTransfer.effectAllowed = "move";
+    }
+  },
     el("div", { class: "top" },
       el("div", { class: "subject" }, task.subject),
       ...pills
     ),
     el("div", { class: "meta" }, ...tags),
-    blockedInfo
+    blockedInfo,
+    danglingInfo
   );
 }
 
@@ -141,7 +272,97 @@ function renderColumn(title, tasks, emoji) {
     }
   }
   
-  return el("div", { class: "col" }, header, cards);
+  const col = el("div", { class: "col", "data-col": title }, header, cards);
+  const status = editing.enabled ? DROP_STATUS[title] : null;
+  if (status) {
+    col.addEventListener("dragover", (ev) => {
+      ev.preventDefault();
+      col.classList.add("drop-target");
+    });
+    col.addEventListener("dragleave", (ev) => {
+      if (!col.contains(ev.relatedTarget)) col.classList.remove("drop-target");
+    });
+    col.addEventListener("drop", (ev) => {
+      ev.preventDefault();
+      col.classList.remove("drop-target");
+      const id = ev.dataTransfer.getData("text/plain");
+      const task = window.__state && window.__state.tasks.find(t => t.id === id);
+      if (task && (task.status || "pending") !== status) saveTask(id, { status });
+    });
+  }
+  return col;
+}
+
+function showNotice(message, kind = "info") {
+  const notice = document.getElementById("notice");
+  notice.textContent = message;
+  notice.className = `notice ${kind}`;
+  notice.hidden = false;
+  clearTimeout(window.__noticeT);
+  window.__noticeT = setTimeout(() => { notice.hidden = true; }, kind === "error" ? NOTICE_MS * 2 : NOTICE_MS);
+}
+
+/**
+ * Save an edit through the live server. The board is not updated from the
+ * response; the rewritten graph arrives as the next event like any other change.
+ */
+async function saveTask(id, changes) {
+  try {
+    const res = await fetch(`${TASKS_URL}/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", "If-Match": `"${editing.revision}"` },
+      body: JSON.stringify(changes)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const problems = body.problems && body.problems.length > 1 ? body.problems : [body.error || `Save failed (${res.status})`];
+      showNotice(problems.join("\n"), "error");
+      return false;
+    }
+    // A 409 also carries a revision, but only a successful save may adopt it
+    editing.revision = body.revision;
+    showNotice(`Saved ${id}`);
+    return true;
+  } catch (err) {
+    showNotice(`Save failed: ${err.message}`, "error");
+    return false;
+  }
+}
+
+function renderColumns(container, tasksByCol) {
+  container.appendChild(renderColumn("Pending", tasksByCol.pending, "📋"));
+  container.appendChild(renderColumn("Blocked", tasksByCol.blocked, "⏳"));
+  container.appendChild(renderColumn("In Progress", tasksByCol.in_progress, "🔄"));
+  container.appendChild(renderColumn("Completed", tasksByCol.completed, "✅"));
+}
+
+function renderLaneHeader(progress) {
+  const title = progress.sprint ? `Sprint ${progress.sprint}` : "No sprint";
+  return el("div", { class: "lane-head" },
+    el("div", { class: "lane-title" },
+      el("h2", {}, title, progress.goal ? el("span", { class: "lane-goal" }, ` - ${progress.goal}`) : null),
+      progress.demo ? el("div", { class: "muted" }, `🎬 Demo: ${progress.demo}`) : null
+    ),
+    el("div", { class: "lane-progress" },
+      progress.demoReady ? el("span", { class: "pill demo-ready" }, "✅ demo ready") : null,
+      el("span", { class: "muted" }, `${progress.completed}/${progress.total} · ${progress.percent}%`),
+      el("div", { class: "progress", title: `${progress.percent}% complete` },
+        el("div", { class: "progress-bar", style: `width: ${progress.percent}%` })
+      )
+    )
+  );
+}
+
+// One row per sprint; each row has the usual four status columns
+function renderLanes(board, state) {
+  for (const progress of sprintProgress(state.tasks)) {
+    const tasks = state.all.filter(t => sprintKey(t) === progress.key);
+    if (tasks.length === 0) continue;
+    const columns = el("div", { class: "lane-cols" });
+    renderColumns(columns, bucketize(tasks));
+    board.appendChild(el("div", { class: `lane${progress.demoReady ? " done" : ""}`, "data-lane": progress.key }, renderLaneHeader(progress), columns));
+  }
+  if (!board.firstChild) board.appendChild(el("div", { class: "empty" }, "No tasks match the filters"));
 }
 
 function render(state) {
@@ -150,17 +371,674 @@ function render(state) {
   
   board.innerHTML = "";
   
-  const { tasksByCol, meta, all } = state;
+  const { tasksByCol, meta, all, filters } = state;
   
-  // Render columns
-  board.appendChild(renderColumn("Pending", tasksByCol.pending, "📋"));
-  board.appendChild(renderColumn("Blocked", tasksByCol.blocked, "⏳"));
-  board.appendChild(renderColumn("In Progress", tasksByCol.in_progress, "🔄"));
-  board.appendChild(renderColumn("Completed", tasksByCol.completed, "✅"));
+  board.classList.toggle("lanes", filters.group === "sprint");
+  if (filters.group === "sprint") {
+    renderLanes(board, state);
+  } else {
+    renderColumns(board, tasksByCol);
+  }
   
+  renderGraph(state);
+  renderCharts(state);
+
   // Summary
   const counts = meta.counts || {};
-  summary.textContent = `Total: ${all.length} tasks | Seeds: ${counts.seedTasks || 0} | Oracle: ${counts.issueTasks || 0} | Ready: ${counts.readyToStart || tasksByCol.pending.length}`;
+  const sprints = sprintProgress(state.tasks).filter(s => s.sprint);
+  const sprintInfo = sprints.length
+    ? ` | Sprints: ${sprints.map(s => `S${s.sprint} ${s.percent}%${s.demoReady ? " ✅" : ""}`).join(", ")}`
+    : "";
+  const states = [...readiness.values()].map(info => info.state);
+  const ready = states.filter(s => s === "ready").length;
+  const dangling = states.filter(s => s === "dangling").length;
+  const obsolete = all.filter(t => t.status === "obsolete").length;
+  summary.textContent = `Total: ${all.length - obsolete} tasks${obsolete ? ` (+${obsolete} obsolete, hidden)` : ""} | Seeds: ${counts.seedTasks || 0} | Oracle: ${counts.issueTasks || 0} | Ready: ${ready}${dangling ? ` | Dangling: ${dangling}` : ""}${sprintInfo}`;
+}
+
+// Identifies a card list across re-renders: lane (if any) and column
+function scrollKey(node) {
+  const lane = node.closest(".lane");
+  const col = node.closest(".col");
+  return `${lane ? lane.dataset.lane : ""}/${col ? col.dataset.col : node.className}`;
+}
+
+/**
+ * Remember the page, card list, graph and drawer scroll offsets; returns a
+ * function that restores them after a re-render
+ */
+function captureScroll() {
+  const { scrollX, scrollY } = window;
+  const offsets = new Map();
+  for (const node of document.querySelectorAll(".cards, .dag-scroll, .drawer")) {
+    offsets.set(scrollKey(node), { top: node.scrollTop, left: node.scrollLeft });
+  }
+  return () => {
+    for (const node of document.querySelectorAll(".cards, .dag-scroll, .drawer")) {
+      const offset = offsets.get(scrollKey(node));
+      if (!offset) continue;
+      node.scrollTop = offset.top;
+      node.scrollLeft = offset.left;
+    }
+    window.scrollTo(scrollX, scrollY);
+  };
+}
+
+function cardPositions() {
+  const positions = new Map();
+  for (const card of document.querySelectorAll("#board .card[data-id]")) {
+    positions.set(card.dataset.id, { rect: card.getBoundingClientRect(), col: scrollKey(card) });
+  }
+  return positions;
+}
+
+// Slide every card from its previous position to its new one; new cards fade in
+function animateCards(before) {
+  for (const card of document.querySelectorAll("#board .card[data-id]")) {
+    const prev = before.get(card.dataset.id);
+    if (!prev) {
+      card.classList.add("card-enter");
+      continue;
+    }
+    const rect = card.getBoundingClientRect();
+    const dx = prev.rect.left - rect.left;
+    const dy = prev.rect.top - rect.top;
+    if (prev.col !== scrollKey(card)) card.classList.add("card-moved");
+    if ((dx || dy) && card.animate) {
+      card.animate(
+        [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "none" }],
+        { duration: MOVE_ANIMATION_MS, easing: "ease-in-out" }
+      );
+    }
+  }
+}
+
+/**
+ * Layered layout for the dependency graph: a task sits one layer right of its
+ * deepest blocker, and tasks within a layer are ordered by the average row of
+ * their blockers to keep edges short. Tasks in a cycle go into a last layer.
+ * Blockers outside `tasks` (filtered out) are ignored.
+ */
+function layoutDag(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const deps = new Map(tasks.map(t => [t.id, [...new Set(t.blockedBy || [])].filter(d => byId.has(d) && d !== t.id)]));
+
+  const layer = new Map();
+  let changed = true;
+  for (let pass = 0; changed && pass <= tasks.length; pass++) {
+    changed = false;
+    for (const t of tasks) {
+      const ds = deps.get(t.id);
+      if (!ds.every(d => layer.has(d))) continue;
+      const lv = ds.length ? Math.max(...ds.map(d => layer.get(d))) + 1 : 0;
+      if (layer.get(t.id) !== lv) {
+        layer.set(t.id, lv);
+        changed = true;
+      }
+    }
+  }
+  const maxLayer = layer.size ? Math.max(...layer.values()) : -1;
+  const cyclic = tasks.filter(t => !layer.has(t.id));
+  for (const t of cyclic) layer.set(t.id, maxLayer + 1);
+
+  const layers = [];
+  for (const t of tasks) {
+    const lv = layer.get(t.id);
+    (layers[lv] = layers[lv] || []).push(t.id);
+  }
+
+  const row = new Map();
+  layers.forEach((ids, lv) => {
+    if (lv > 0) {
+      const weight = (id) => {
+        const rows = deps.get(id).map(d => row.get(d)).filter(r => r !== undefined);
+        return rows.length ? rows.reduce((a, b) => a + b, 0) / rows.length : Infinity;
+      };
+      ids.sort((a, b) => weight(a) - weight(b));
+    }
+    ids.forEach((id, i) => row.set(id, i));
+  });
+
+  const positions = new Map();
+  for (const [id, lv] of layer) {
+    positions.set(id, {
+      x: DAG_PAD + lv * (DAG_NODE_W + DAG_GAP_X),
+      y: DAG_PAD + row.get(id) * (DAG_NODE_H + DAG_GAP_Y)
+    });
+  }
+  const tallest = Math.max(0, ...layers.map(ids => (ids || []).length));
+
+  return {
+    positions,
+    deps,
+    cyclic: cyclic.map(t => t.id),
+    width: DAG_PAD * 2 + layers.length * DAG_NODE_W + Math.max(0, layers.length - 1) * DAG_GAP_X,
+    height: DAG_PAD * 2 + tallest * DAG_NODE_H + Math.max(0, tallest - 1) * DAG_GAP_Y
+  };
+}
+
+// All tasks reachable from `id` by following `next` (blockers or dependents)
+function reachable(id, next) {
+  const seen = new Set();
+  const stack = [...(next.get(id) || [])];
+  while (stack.length) {
+    const cur = stack.pop();
+    if (seen.has(cur)) continue;
+    seen.add(cur);
+    stack.push(...(next.get(cur) || []));
+  }
+  return seen;
+}
+
+function renderGraph(state) {
+  const container = document.getElementById("graph");
+  container.innerHTML = "";
+
+  const tasks = state.all;
+  if (tasks.length === 0) {
+    container.appendChild(el("div", { class: "empty" }, "No tasks"));
+    return;
+  }
+
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const { positions, deps, cyclic, width, height } = layoutDag(tasks);
+  const dependents = new Map(tasks.map(t => [t.id, []]));
+  for (const [id, ds] of deps) for (const d of ds) dependents.get(d).push(id);
+
+  const svg = svgEl("svg", { class: "dag", width, height, viewBox: `0 0 ${width} ${height}` },
+    svgEl("defs", {},
+      svgEl("marker", { id: "dag-arrow", viewBox: "0 0 10 10", refX: 9, refY: 5, markerWidth: 7, markerHeight: 7, orient: "auto-start-reverse" },
+        svgEl("path", { d: "M0,0 L10,5 L0,10 z", class: "dag-arrowhead" })
+      )
+    )
+  );
+
+  const edgeEls = [];
+  for (const [id, ds] of deps) {
+    for (const d of ds) {
+      const from = positions.get(d);
+      const to = positions.get(id);
+      const x1 = from.x + DAG_NODE_W;
+      const y1 = from.y + DAG_NODE_H / 2;
+      const x2 = to.x;
+      const y2 = to.y + DAG_NODE_H / 2;
+      const bend = Math.max(24, (x2 - x1) / 2);
+      // An edge still holds its task back until the blocker is completed
+      const open = !TaskReadiness.isDone(byId.get(d));
+      const path = svgEl("path", {
+        class: `dag-edge ${open ? "open" : "done"}`,
+        d: `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`,
+        "marker-end": "url(#dag-arrow)"
+      });
+      path.dataset.from = d;
+      path.dataset.to = id;
+      edgeEls.push(path);
+      svg.appendChild(path);
+    }
+  }
+
+  const nodeEls = new Map();
+  for (const t of tasks) {
+    const { x, y } = positions.get(t.id);
+    const status = effectiveStatus(t);
+    const node = svgEl("g", {
+      class: `dag-node ${status} ${t.source || ""}${cyclic.includes(t.id) ? " cyclic" : ""}`,
+      transform: `translate(${x},${y})`,
+      tabindex: 0
+    },
+      svgEl("title", {}, `${t.subject}\n${t.id} · ${status}${cyclic.includes(t.id) ? " · in a dependency cycle" : ""}`),
+      svgEl("rect", { width: DAG_NODE_W, height: DAG_NODE_H, rx: 8 }),
+      svgEl("text", { x: 10, y: DAG_NODE_H / 2 + 4 }, t.id.length > 16 ? `${t.id.slice(0, 15)}…` : t.id)
+    );
+    node.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      highlight(t.id);
+      openTask(t.id);
+    });
+    nodeEls.set(t.id, node);
+    svg.appendChild(node);
+  }
+
+  function highlight(id) {
+    const related = id ? new Set([id, ...reachable(id, deps), ...reachable(id, dependents)]) : null;
+    for (const [nid, node] of nodeEls) {
+      node.classList.toggle("selected", nid === id);
+      node.classList.toggle("dim", Boolean(related) && !related.has(nid));
+    }
+    for (const edge of edgeEls) {
+      const on = related && related.has(edge.dataset.from) && related.has(edge.dataset.to);
+      edge.classList.toggle("dim", Boolean(related) && !on);
+      edge.classList.toggle("hl", Boolean(on));
+    }
+  }
+  svg.addEventListener("click", () => highlight(null));
+
+  container.appendChild(el("div", { class: "dag-legend muted" },
+    "Click a task to highlight what it waits on and what waits on it. ",
+    "Solid orange edges are still blocking; dashed edges come from completed tasks.",
+    cyclic.length ? ` ${cyclic.length} task(s) in a dependency cycle are drawn last with a red outline.` : ""
+  ));
+  container.appendChild(el("div", { class: "dag-scroll" }, svg));
+}
+
+function dayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Status of every task at the end of each day, from the first event (at most
+ * MAX_CHART_DAYS back) to today. Replays the log backwards from the current
+ * graph to find where each task started, so tasks without events keep their
+ * current status throughout. Events for tasks no longer in the graph are ignored.
+ */
+function statusHistory(tasks, events) {
+  const status = new Map(tasks.map(t => [t.id, t.status || "pending"]));
+  const relevant = events.filter(e => status.has(e.task));
+  for (let i = relevant.length - 1; i >= 0; i--) {
+    status.set(relevant[i].task, relevant[i].from || "pending");
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const first = relevant.length ? new Date(relevant[0].at) : today;
+  first.setHours(0, 0, 0, 0);
+  const start = new Date(Math.max(first.getTime(), today.getTime() - (MAX_CHART_DAYS - 1) * DAY_MS));
+  start.setHours(0, 0, 0, 0);
+
+  const days = [];
+  let next = 0;
+  // Step by calendar day (not 24h) so DST changes keep days aligned to midnight
+  for (const day = start; day <= today; day.setDate(day.getDate() + 1)) {
+    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+    while (next < relevant.length && Date.parse(relevant[next].at) < end) {
+      status.set(relevant[next].task, relevant[next].to);
+      next++;
+    }
+    days.push({ day: dayKey(day), status: new Map(status) });
+  }
+  return days;
+}
+
+// Board category of a status for the charts; obsolete tasks are left out
+function flowCategory(status) {
+  if (status === "obsolete") return null;
+  if (TaskReadiness.isDone({ status })) return "completed";
+  if (status === "in_progress" || status === "running") return "in_progress";
+  return "todo";
+}
+
+function isRemaining(status) {
+  const category = flowCategory(status);
+  return category === "todo" || category === "in_progress";
+}
+
+function chartFrame(days, maxY, options = {}) {
+  const width = options.width || CHART_W;
+  const height = options.height || CHART_H;
+  const innerW = width - CHART_PAD.left - CHART_PAD.right;
+  const innerH = height - CHART_PAD.top - CHART_PAD.bottom;
+  const top = Math.max(1, maxY);
+  const x = (i) => CHART_PAD.left + (days.length <= 1 ? innerW / 2 : (i * innerW) / (days.length - 1));
+  const y = (v) => CHART_PAD.top + innerH - (v / top) * innerH;
+
+  const svg = svgEl("svg", { class: "chart", width, height, viewBox: `0 0 ${width} ${height}`, role: "img" });
+  for (const v of [...new Set([0, Math.round(top / 2), top])]) {
+    svg.appendChild(svgEl("line", { class: "grid", x1: CHART_PAD.left, x2: width - CHART_PAD.right, y1: y(v), y2: y(v) }));
+    svg.appendChild(svgEl("text", { class: "axis", x: CHART_PAD.left - 6, y: y(v) + 4, "text-anchor": "end" }, String(v)));
+  }
+  const labelled = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+  for (const i of labelled) {
+    if (!days[i]) continue;
+    svg.appendChild(svgEl("text", { class: "axis", x: x(i), y: height - 8, "text-anchor": "middle" }, days[i].day.slice(5)));
+  }
+  return { svg, x, y, innerW };
+}
+
+function polyline(points, attrs) {
+  return svgEl("polyline", { ...attrs, points: points.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(" ") });
+}
+
+// Remaining (not completed) tasks per day, one small chart per sprint
+function renderBurndowns(tasks, history) {
+  const charts = [];
+  for (const progress of sprintProgress(tasks)) {
+    if (!progress.sprint) continue;
+    const ids = tasks.filter(t => sprintKey(t) === progress.key).map(t => t.id);
+    const remaining = history.map(h => ids.filter(id => isRemaining(h.status.get(id))).length);
+    const { svg, x, y } = chartFrame(history, Math.max(...remaining, 1), { width: 280, height: 150 });
+    svg.appendChild(polyline(remaining.map((v, i) => [x(i), y(v)]), { class: "burndown" }));
+    svg.appendChild(svgEl("title", {}, `Sprint ${progress.sprint}: ${remaining[remaining.length - 1]} of ${progress.total} remaining`));
+    charts.push(el("figure", { class: "chart-card" },
+      el("figcaption", {}, `Sprint ${progress.sprint}`, el("span", { class: "muted" }, ` · ${remaining[remaining.length - 1]} left${progress.demoReady ? " · ✅ demo ready" : ""}`)),
+      svg
+    ));
+  }
+  return charts.length ? el("div", { class: "chart-grid" }, ...charts) : el("p", { class: "muted" }, "No sprints in this graph.");
+}
+
+// Stacked areas: completed at the bottom, then in progress, then still to do
+function renderCumulativeFlow(tasks, history) {
+  const layers = ["completed", "in_progress", "todo"];
+  const counts = history.map(h => {
+    const c = { completed: 0, in_progress: 0, todo: 0 };
+    for (const t of tasks) {
+      const cat = flowCategory(h.status.get(t.id));
+      if (cat) c[cat]++;
+    }
+    return c;
+  });
+  const total = Math.max(1, ...counts.map(c => c.completed + c.in_progress + c.todo));
+  const { svg, x, y } = chartFrame(history, total);
+
+  let below = counts.map(() => 0);
+  for (const layer of layers) {
+    const above = below.map((b, i) => b + counts[i][layer]);
+    const top = above.map((v, i) => [x(i), y(v)]);
+    const bottom = below.map((v, i) => [x(i), y(v)]).reverse();
+    svg.appendChild(svgEl("polygon", {
+      class: `flow ${layer}`,
+      points: [...top, ...bottom].map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(" ")
+    }, svgEl("title", {}, `${layer.replace("_", " ")}: ${counts[counts.length - 1][layer]} today`)));
+    below = above;
+  }
+  return el("div", {},
+    svg,
+    el("div", { class: "chart-legend" },
+      ...layers.map(layer => el("span", { class: `swatch ${layer}` }, layer === "todo" ? "to do" : layer.replace("_", " ")))
+    )
+  );
+}
+
+function renderThroughput(history, events, tasks) {
+  const ids = new Set(tasks.map(t => t.id));
+  const perDay = new Map(history.map(h => [h.day, 0]));
+  for (const e of events) {
+    if (e.to !== "completed" || !ids.has(e.task)) continue;
+    const day = dayKey(Date.parse(e.at));
+    if (perDay.has(day)) perDay.set(day, perDay.get(day) + 1);
+  }
+  const values = history.map(h => perDay.get(h.day));
+  const { svg, y, innerW } = chartFrame(history, Math.max(1, ...values));
+  const band = innerW / history.length;
+  values.forEach((v, i) => {
+    if (!v) return;
+    svg.appendChild(svgEl("rect", {
+      class: "bar",
+      x: CHART_PAD.left + i * band + band * 0.15,
+      y: y(v),
+      width: Math.max(1, band * 0.7),
+      height: y(0) - y(v)
+    }, svgEl("title", {}, `${history[i].day}: ${v} completed`)));
+  });
+
+  // Estimate from the last THROUGHPUT_WINDOW_DAYS days of completions
+  const recent = values.slice(-THROUGHPUT_WINDOW_DAYS).reduce((a, b) => a + b, 0);
+  const days = Math.min(THROUGHPUT_WINDOW_DAYS, values.length);
+  const rate = recent / days;
+  const remaining = tasks.filter(t => isRemaining(t.status || "pending")).length;
+  let estimate;
+  if (remaining === 0) {
+    estimate = "All tasks are completed.";
+  } else if (rate === 0) {
+    estimate = `No completions in the last ${days} day(s) - no estimate for the ${remaining} remaining task(s).`;
+  } else {
+    const eta = new Date(Date.now() + Math.ceil(remaining / rate) * DAY_MS);
+    estimate = `At ${rate.toFixed(1)} task(s)/day (last ${days} day(s)), the ${remaining} remaining task(s) finish around ${dayKey(eta)}.`;
+  }
+
+  return el("div", {}, svg, el("p", { class: "eta" }, `📅 ${estimate}`));
+}
+
+// Charts tab: burndown per sprint, cumulative flow and completions per day
+function renderCharts(state) {
+  const container = document.getElementById("charts");
+  container.innerHTML = "";
+  const { tasks, events } = state;
+
+  if (events.length === 0) {
+    container.appendChild(el("p", { class: "muted" },
+      "No status history yet. ralph.sh and the board server (npm run board) append every status change to ",
+      el("code", {}, "artifacts/04-task-graph.events.jsonl"),
+      "; charts appear once tasks start moving."
+    ));
+    return;
+  }
+
+  const history = statusHistory(tasks, events);
+  container.appendChild(el("section", {}, el("h3", {}, "Burndown by sprint"), renderBurndowns(tasks, history)));
+  container.appendChild(el("section", {}, el("h3", {}, "Cumulative flow"), renderCumulativeFlow(tasks, history)));
+  container.appendChild(el("section", {}, el("h3", {}, "Completed per day"), renderThroughput(history, events, tasks)));
+  container.appendChild(el("p", { class: "muted" }, `${events.length} status event(s) since ${dayKey(Date.parse(events[0].at))}. Charts cover the whole graph, not just the filtered tasks.`));
+}
+
+/**
+ * Inline Markdown: `code`, **bold** and *emphasis*. Returns DOM nodes, so
+ * task text is never interpreted as HTML.
+ */
+function renderInline(text) {
+  const nodes = [];
+  const re = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s][^*]*)\*/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m.index > last) nodes.push(text.slice(last, m.index));
+    if (m[1] !== undefined) nodes.push(el("code", {}, m[1]));
+    else if (m[2] !== undefined) nodes.push(el("strong", {}, ...renderInline(m[2])));
+    else nodes.push(el("em", {}, m[3]));
+    last = re.lastIndex;
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+}
+
+/**
+ * Block Markdown: paragraphs, "- " / "* " / "1. " lists, "#" headings and
+ * fenced code blocks
+ */
+function renderMarkdown(text) {
+  const root = el("div", { class: "md" });
+  const lines = String(text || "").split("\n");
+  let para = [];
+  let list = null;
+
+  const flush = () => {
+    if (para.length) root.appendChild(el("p", {}, ...renderInline(para.join(" "))));
+    para = [];
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*```/.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      root.appendChild(el("pre", {}, el("code", {}, code.join("\n"))));
+      continue;
+    }
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const item = line.match(/^\s*(?:[-*]|\d+\.)\s+(.*)$/);
+    if (heading) {
+      flush();
+      root.appendChild(el("h4", {}, ...renderInline(heading[1])));
+    } else if (item) {
+      if (para.length) flush();
+      if (!list) {
+        list = el(/^\s*\d/.test(line) ? "ol" : "ul");
+        root.appendChild(list);
+      }
+      list.appendChild(el("li", {}, ...renderInline(item[1])));
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      list = null;
+      para.push(line.trim());
+    }
+  }
+  flush();
+  return root;
+}
+
+function taskLink(id, byId) {
+  const task = byId.get(id);
+  if (!task) return el("span", { class: "dangling", title: "No task with this ID in the graph" }, `${id} (unknown)`);
+  return el("a", { href: `#task=${encodeURIComponent(id)}`, class: `task-link ${effectiveStatus(task)}` },
+    el("code", {}, id), ` ${task.subject}`
+  );
+}
+
+function renderEditor(task, tasks) {
+  const save = (changes) => saveTask(task.id, changes);
+  const current = task.status || "pending";
+
+  const statuses = Object.values(DROP_STATUS);
+  const status = el("select", { onchange: (ev) => save({ status: ev.target.value }) },
+    ...(statuses.includes(current) ? [] : [el("option", { value: current, disabled: "" }, current)]),
+    ...statuses.map(s => el("option", { value: s }, s.replace("_", " ")))
+  );
+  status.value = current;
+
+  const owner = el("input", { type: "text", placeholder: "unassigned", onchange: (ev) => save({ owner: ev.target.value }) });
+  owner.value = task.owner || "";
+
+  const priority = el("select", { onchange: (ev) => save({ priority: ev.target.value === "" ? null : Number(ev.target.value) }) },
+    el("option", { value: "" }, "(none)"),
+    ...[0, 1, 2, 3].map(p => el("option", { value: String(p) }, `P${p}`))
+  );
+  priority.value = task.priority !== undefined ? String(task.priority) : "";
+
+  const candidates = tasks.filter(t => t.id !== task.id && !(task.blockedBy || []).includes(t.id));
+  const blocker = el("input", { type: "text", list: "blocker-candidates", placeholder: "task ID" });
+  const addBlocker = () => {
+    const id = blocker.value.trim();
+    if (id) save({ blockedBy: [...(task.blockedBy || []), id] });
+  };
+
+  return el("div", { class: "editor" },
+    el("label", {}, "Status", status),
+    el("label", {}, "Owner", owner),
+    el("label", {}, "Priority", priority),
+    el("label", {}, "Add blocker",
+      el("span", { class: "inline" },
+        blocker,
+        el("button", { onclick: addBlocker }, "Add")
+      )
+    ),
+    el("datalist", { id: "blocker-candidates" }, ...candidates.map(t => el("option", { value: t.id }, t.subject)))
+  );
+}
+
+function renderDrawer(task, tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const dependents = tasks.filter(t => (t.blockedBy || []).includes(task.id));
+  const sections = [];
+
+  const section = (title, ...content) => {
+    const kids = content.filter(Boolean);
+    if (kids.length) sections.push(el("section", {}, el("h3", {}, title), ...kids));
+  };
+  const list = (items, render) => items && items.length
+    ? el("ul", {}, ...items.map(item => el("li", {}, render(item))))
+    : null;
+
+  const facts = [
+    ["Status", effectiveStatus(task)],
+    ["Source", task.source],
+    ["Severity", task.severity],
+    ["Lens", task.lens],
+    ["Sprint", task.sprint ? `${task.sprint}${task.sprintGoal ? ` - ${task.sprintGoal}` : ""}` : null],
+    ["Owner", task.owner],
+    ["Priority", task.priority !== undefined ? `P${task.priority}` : null],
+    ["Complexity", task.complexity ? `${task.complexity}/10` : null],
+    ["Defined in", task.sourceFile ? `${task.sourceFile}${task.line ? `:${task.line}` : ""}` : null]
+  ].filter(([, v]) => v !== null && v !== undefined && v !== "");
+
+  section("Details", el("dl", {}, ...facts.flatMap(([k, v]) => [el("dt", {}, k), el("dd", {}, String(v))])));
+  if (editing.enabled) section("Edit", renderEditor(task, tasks));
+  section("Description", task.description ? renderMarkdown(task.description) : null);
+  if (task.deliverable && !String(task.description || "").includes(task.deliverable)) {
+    section("Deliverable", renderMarkdown(task.deliverable));
+  }
+  section("Setup", task.setup ? renderMarkdown(task.setup) : null);
+  section("Verification", list(task.verification, cmd => el("code", {}, cmd)));
+  section("Acceptance criteria", list(task.acceptance, a => el("span", {}, ...renderInline(a))));
+  section("Allowed paths", list(task.allowedPaths, p => el("code", {}, p)));
+  section("Files", list(task.files, f => el("code", {}, f)));
+  const removeBlocker = (id) => el("button", {
+    class: "remove",
+    title: `Remove ${id} from blockedBy`,
+    onclick: () => saveTask(task.id, { blockedBy: task.blockedBy.filter(b => b !== id) })
+  }, "✕");
+  section(`Blocked by (${(task.blockedBy || []).length})`, list(task.blockedBy, id => editing.enabled
+    ? el("span", {}, taskLink(id, byId), " ", removeBlocker(id))
+    : taskLink(id, byId)));
+  section(`Dependents (${dependents.length})`, list(dependents.map(t => t.id), id => taskLink(id, byId)));
+  section("Linked plan tasks", list(task.linkedTo, link => el("span", {}, taskLink(link.task, byId), el("div", { class: "muted" }, link.reasons.join("; ")))));
+
+  return el("div", { class: "drawer-inner" },
+    el("div", { class: "drawer-head" },
+      el("div", {},
+        el("div", { class: "muted" }, task.id),
+        el("h2", {}, task.subject)
+      ),
+      el("button", { class: "close", title: "Close (Esc)", onclick: () => closeTask() }, "×")
+    ),
+    ...sections
+  );
+}
+
+// Open the detail drawer; the URL hash (#task=<id>) makes it linkable
+function openTask(id) {
+  const hash = `#task=${encodeURIComponent(id)}`;
+  if (location.hash !== hash) history.pushState(null, "", hash);
+  showTaskFromHash();
+}
+
+function closeTask() {
+  if (location.hash) history.pushState(null, "", location.pathname + location.search);
+  showTaskFromHash();
+}
+
+function showTaskFromHash() {
+  const drawer = document.getElementById("drawer");
+  const m = location.hash.match(/^#task=(.+)$/);
+  const state = window.__state;
+  drawer.innerHTML = "";
+  if (!m || !state) {
+    drawer.hidden = true;
+    return;
+  }
+  const id = decodeURIComponent(m[1]);
+  const task = state.tasks.find(t => t.id === id);
+  drawer.appendChild(task
+    ? renderDrawer(task, state.tasks)
+    : el("div", { class: "drawer-inner" },
+        el("div", { class: "drawer-head" },
+          el("h2", {}, "Task not found"),
+          el("button", { class: "close", onclick: () => closeTask() }, "×")
+        ),
+        el("p", { class: "muted" }, `No task with ID ${id} in the current graph.`)
+      ));
+  drawer.hidden = false;
+}
+
+// Active filters as readable labels, e.g. ["status: blocked", "sprint: 2"]
+function describeFilters(filters) {
+  const labels = [];
+  if (filters.q) labels.push(`search: "${filters.q}"`);
+  if (filters.tag) labels.push(`tag: ${filters.tag}`);
+  if (filters.status) labels.push(`status: ${filters.status}`);
+  if (filters.source) labels.push(`source: ${filters.source}`);
+  if (filters.sprint) labels.push(`sprint: ${filters.sprint === "none" ? "none" : filters.sprint}`);
+  return labels;
+}
+
+function filterSummary(state) {
+  const labels = describeFilters(state.filters);
+  return labels.length
+    ? `${labels.join(", ")} (${state.all.length} of ${state.tasks.length} tasks)`
+    : `none (all ${state.tasks.length} tasks)`;
 }
 
 function buildReport(state) {
@@ -169,6 +1047,7 @@ function buildReport(state) {
     "# Task Board Report",
     "",
     `Generated: ${new Date().toISOString()}`,
+    `Filters: ${filterSummary(state)}`,
     "",
     `## Summary`,
     "",
@@ -202,8 +1081,204 @@ function buildReport(state) {
   return lines.join("\n");
 }
 
-function download(filename, content) {
-  const blob = new Blob([content], { type: "text/markdown" });
+const SEVERITY_ORDER = ["blocker", "critical", "major", "minor", "nit"];
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+/**
+ * Self-contained HTML report (inline styles, no scripts) for status meetings:
+ * summary, sprint progress, blocked tasks with their blockers' subjects and
+ * Oracle issues by severity. Covers the filtered tasks only.
+ */
+function buildHtmlReport(state) {
+  const { tasksByCol, all, tasks, meta } = state;
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const h = escapeHtml;
+  const generated = new Date().toISOString();
+
+  const states = all.map(t => (readiness.get(t.id) || {}).state);
+  const summaryRows = [
+    ["Total", all.length],
+    ["Pending (ready)", states.filter(s => s === "ready").length],
+    ["Blocked", tasksByCol.blocked.length],
+    ["In Progress", tasksByCol.in_progress.length],
+    ["Completed", tasksByCol.completed.length]
+  ];
+  const dangling = states.filter(s => s === "dangling").length;
+  if (dangling) summaryRows.push(["Dangling blockers", dangling]);
+
+  const sprints = sprintProgress(all).filter(s => s.sprint);
+  const sprintRows = sprints.map(s => `
+      <tr>
+        <td>Sprint ${s.sprint}</td>
+        <td>${h(s.goal)}</td>
+        <td><div class="bar"><span style="width:${s.percent}%"></span></div> ${s.completed}/${s.total} (${s.percent}%)</td>
+        <td>${s.demoReady ? "✅ ready" : h(s.demo)}</td>
+      </tr>`).join("");
+
+  const blocked = all.filter(t => {
+    const info = readiness.get(t.id);
+    return info && (info.state === "blocked" || info.state === "dangling");
+  });
+  const blockerItems = blocked.map(t => {
+    const { open, dangling: unknown } = readiness.get(t.id);
+    const items = [
+      ...open.map(id => `<li><code>${h(id)}</code> ${h(byId.get(id).subject)} <span class="muted">(${h(effectiveStatus(byId.get(id)))})</span></li>`),
+      ...unknown.map(id => `<li><code>${h(id)}</code> <span class="warn">not in the graph</span></li>`)
+    ];
+    if (items.length === 0) items.push(`<li class="muted">${h(t.blockedReason || "status set to blocked")}</li>`);
+    return `
+      <li><code>${h(t.id)}</code> ${h(t.subject)}
+        <ul>${items.join("")}</ul>
+      </li>`;
+  }).join("");
+
+  const oracle = all.filter(t => t.source === "oracle");
+  const severities = [...SEVERITY_ORDER, ...new Set(oracle.map(t => t.severity || "unrated"))]
+    .filter((sev, i, list) => list.indexOf(sev) === i);
+  const oracleSections = severities.map(sev => {
+    const issues = oracle.filter(t => (t.severity || "unrated") === sev);
+    if (issues.length === 0) return "";
+    return `
+    <h3>${h(sev)} (${issues.length})</h3>
+    <ul>${issues.map(t => `
+      <li><code>${h(t.id)}</code> ${h(t.subject)} <span class="muted">· ${h(effectiveStatus(t))}${t.lens ? ` · ${h(t.lens)}` : ""}${t.linkedTo && t.linkedTo.length ? ` · affects ${t.linkedTo.map(l => h(l.task)).join(", ")}` : ""}</span></li>`).join("")}
+    </ul>`;
+  }).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Task Board Report</title>
+<style>
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #111827; max-width: 960px; margin: 32px auto; padding: 0 16px; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 28px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  code { font-size: 12px; background: #f3f4f6; padding: 1px 4px; border-radius: 4px; }
+  .muted { color: #6b7280; }
+  .warn { color: #b91c1c; }
+  .bar { display: inline-block; width: 120px; height: 8px; background: #e5e7eb; border-radius: 4px; overflow: hidden; vertical-align: middle; }
+  .bar span { display: block; height: 100%; background: #16a34a; }
+</style>
+</head>
+<body>
+  <h1>Task Board Report</h1>
+  <p class="muted">
+    Generated ${h(generated)}${meta.generatedAt ? ` · graph compiled ${h(meta.generatedAt)}` : ""}<br />
+    Filters: ${h(filterSummary(state))}
+  </p>
+
+  <h2>Summary</h2>
+  <table>${summaryRows.map(([label, n]) => `<tr><td>${h(label)}</td><td>${n}</td></tr>`).join("")}</table>
+${sprints.length ? `
+  <h2>Sprint progress</h2>
+  <table>
+    <tr><th>Sprint</th><th>Goal</th><th>Progress</th><th>Demo</th></tr>${sprintRows}
+  </table>
+` : ""}
+  <h2>Blocked tasks (${blocked.length})</h2>
+  ${blocked.length ? `<ul>${blockerItems}</ul>` : `<p class="muted">Nothing is blocked.</p>`}
+
+  <h2>Oracle issues (${oracle.length})</h2>
+  ${oracle.length ? oracleSections : `<p class="muted">No Oracle issues in this selection.</p>`}
+</body>
+</html>
+`;
+}
+
+const CSV_COLUMNS = ["id", "subject", "status", "boardStatus", "sprint", "sprintGoal", "source", "severity", "owner", "priority", "complexity", "tags", "blockedBy", "openBlockers"];
+
+function csvCell(value) {
+  const str = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One row per filtered task; list fields are "; "-separated
+function buildCsv(state) {
+  const rows = state.all.map(t => {
+    const row = {
+      ...t,
+      status: t.status || "pending",
+      boardStatus: effectiveStatus(t),
+      openBlockers: (readiness.get(t.id) || {}).open || []
+    };
+    return CSV_COLUMNS.map(col => csvCell(row[col])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * The filtered tasks as a flat (v1) graph ralph can run. Blockers outside the
+ * selection are dropped when completed (already satisfied) and kept otherwise,
+ * so those tasks stay blocked until the work is done elsewhere; both cases are
+ * listed in meta.export. serializeAfter entries outside the selection are
+ * always dropped (they only order work that may share files) and listed too.
+ */
+function buildSubgraph(state) {
+  const kept = new Set(state.all.map(t => t.id));
+  const byId = new Map(state.tasks.map(t => [t.id, t]));
+  const droppedBlockers = [];
+  const externalBlockers = [];
+  const droppedOrdering = [];
+
+  const tasks = state.all.map(t => {
+    const blockedBy = (t.blockedBy || []).filter(id => {
+      if (kept.has(id)) return true;
+      const blocker = byId.get(id);
+      if (blocker && TaskReadiness.isDone(blocker)) {
+        droppedBlockers.push({ task: t.id, blocker: id });
+        return false;
+      }
+      externalBlockers.push({ task: t.id, blocker: id, status: blocker ? blocker.status || "pending" : "unknown" });
+      return true;
+    });
+    const task = { ...t, blockedBy };
+    if (t.serializeAfter) {
+      const after = t.serializeAfter.filter(id => kept.has(id));
+      for (const id of t.serializeAfter.filter(id => !kept.has(id))) {
+        const other = byId.get(id);
+        droppedOrdering.push({ task: t.id, after: id, status: other ? other.status || "pending" : "unknown" });
+      }
+      if (after.length) task.serializeAfter = after;
+      else delete task.serializeAfter;
+    }
+    return task;
+  });
+
+  const graph = {
+    meta: {
+      ...state.meta,
+      export: {
+        exportedAt: new Date().toISOString(),
+        from: graphSource,
+        filters: { ...state.filters, group: undefined },
+        taskCount: tasks.length,
+        totalTasks: state.tasks.length,
+        droppedBlockers: droppedBlockers.length ? droppedBlockers : undefined,
+        externalBlockers: externalBlockers.length ? externalBlockers : undefined,
+        droppedSerializeAfter: droppedOrdering.length ? droppedOrdering : undefined
+      }
+    },
+    tasks
+  };
+  return JSON.stringify(graph, null, 2) + "\n";
+}
+
+// Format picker entries: file name, MIME type and builder
+const EXPORT_FORMATS = {
+  markdown: { file: "task-board-report.md", type: "text/markdown", build: buildReport },
+  html: { file: "task-board-report.html", type: "text/html", build: buildHtmlReport },
+  csv: { file: "task-board-tasks.csv", type: "text/csv", build: buildCsv },
+  json: { file: "task-graph-subset.json", type: "application/json", build: buildSubgraph }
+};
+
+function download(filename, content, type = "text/markdown") {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -219,32 +1294,83 @@ async function main() {
   const tagSel = document.getElementById("tag");
   const statusSel = document.getElementById("status");
   const sourceSel = document.getElementById("source");
+  const sprintSel = document.getElementById("sprint");
+  const groupSel = document.getElementById("group");
 
-  async function reload() {
-    try {
-      const graph = await fetchJson(GRAPH_URL);
-      const tasks = Array.isArray(graph.tasks) ? graph.tasks : [];
-      const tags = uniqueSorted(tasks.flatMap(t => Array.isArray(t.tags) ? t.tags : []));
+  let graph = null;
+  let events = [];
 
-      setOptions(tagSel, tags);
+  // Re-render from the last loaded graph; filters and live updates do not refetch
+  function update(options = {}) {
+    if (!graph) return;
+    const tasks = Array.isArray(graph.tasks) ? graph.tasks : [];
+    readiness = TaskReadiness.readinessOf(tasks);
+    const tags = uniqueSorted(tasks.flatMap(t => Array.isArray(t.tags) ? t.tags : []));
 
-      const filters = {
-        q: qInput.value || "",
-        tag: tagSel.value || "",
-        status: statusSel.value || "",
-        source: sourceSel.value || ""
-      };
+    setOptions(tagSel, tags);
+    setOptions(sprintSel, sprintProgress(tasks).map(s => s.key), key => (key === "none" ? "No sprint" : `Sprint ${key}`));
 
-      const filtered = applyFilters(tasks, filters);
-      const state = {
-        all: filtered,
-        tasksByCol: bucketize(filtered),
-        meta: graph.meta || {},
-        filters
-      };
-      window.__state = state;
-      render(state);
+    const filters = {
+      q: qInput.value || "",
+      tag: tagSel.value || "",
+      status: statusSel.value || "",
+      source: sourceSel.value || "",
+      sprint: sprintSel.value || "",
+      group: groupSel.value || ""
+    };
+
+    const filtered = applyFilters(tasks, filters);
+    const state = {
+      tasks,
+      all: filtered,
+      tasksByCol: bucketize(filtered),
+      meta: graph.meta || {},
+      events,
+      filters
+    };
+    window.__state = state;
+
+    const restoreScroll = captureScroll();
+    const before = options.animate ? cardPositions() : null;
+    render(state);
+    showTaskFromHash();
+    restoreScroll();
+    if (before) animateCards(before);
+  }
+
+  // Graph data from the server, over /events or from /api/graph
+  function applySnapshot(data) {
+    graph = data.graph;
+    graphSource = data.source || graphSource;
+    editing.enabled = Boolean(data.editable);
+    editing.revision = data.revision;
+  }
+
+  // Bumped by every reload and pushed graph; a load that a newer one overtook
+  // while it waited on the network is dropped instead of rendering stale data
+  let loadSeq = 0;
+
+  // The server's snapshot when there is one; a static server has no /api/graph
+  async function reload() {
+    const seq = ++loadSeq;
+    try {
+      const data = await fetchJson(GRAPH_API_URL).catch(() => null);
+      if (seq !== loadSeq) return;
+      if (data) {
+        applySnapshot(data);
+        const log = await fetchEvents(EVENTS_LOG_API_URL).catch(() => []);
+        if (seq !== loadSeq) return;
+        events = log;
+      } else {
+        const loaded = await fetchJson(GRAPH_URL);
+        const log = await fetchEvents(EVENTS_LOG_URL).catch(() => []);
+        if (seq !== loadSeq) return;
+        graph = loaded;
+        events = log;
+      }
+      update();
     } catch (err) {
+      if (seq !== loadSeq) return;
       const board = document.getElementById("board");
       board.innerHTML = "";
       board.appendChild(el("div", { class: "error" }, 
@@ -253,15 +1379,62 @@ async function main() {
     }
   }
 
+  // Only the Node server has /events; with a static server the stream fails once and stays closed
+  function connectLive() {
+    if (!window.EventSource) return;
+    const live = document.getElementById("live");
+    const source = new EventSource(EVENTS_URL);
+    source.addEventListener("graph", async (ev) => {
+      const data = JSON.parse(ev.data);
+      const seq = ++loadSeq;
+      // Adopt the new revision right away, so an edit made while the event
+      // log loads is not refused with 409
+      applySnapshot(data);
+      live.hidden = false;
+      live.classList.remove("offline");
+      live.textContent = "● Live";
+      live.title = `Updated ${new Date(data.updatedAt).toLocaleTimeString()}${data.beads ? ` · beads statuses from ${data.beads.matched} issue(s)` : ""}`;
+      const log = await fetchEvents(EVENTS_LOG_API_URL).catch(() => events);
+      if (seq !== loadSeq) return;
+      events = log;
+      update({ animate: true });
+    });
+    source.addEventListener("error", () => {
+      if (source.readyState === EventSource.CLOSED) {
+        live.hidden = true;
+        if (editing.enabled) {
+          editing.enabled = false;
+          update();
+        }
+        return;
+      }
+      live.classList.add("offline");
+      live.textContent = "● Reconnecting…";
+    });
+  }
+
   document.getElementById("reload").addEventListener("click", reload);
+  window.addEventListener("hashchange", showTaskFromHash);
+  window.addEventListener("popstate", showTaskFromHash);
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "Escape" && !document.getElementById("drawer").hidden) closeTask();
+  });
+  for (const tab of document.querySelectorAll(".tab")) {
+    tab.addEventListener("click", () => {
+      for (const t of document.querySelectorAll(".tab")) t.classList.toggle("active", t === tab);
+      document.getElementById("board").hidden = tab.dataset.view !== "board";
+      document.getElementById("graph").hidden = tab.dataset.view !== "graph";
+      document.getElementById("charts").hidden = tab.dataset.view !== "charts";
+    });
+  }
   document.getElementById("export").addEventListener("click", () => {
     const state = window.__state;
     if (!state) return;
-    const md = buildReport(state);
-    download("task-board-report.md", md);
+    const format = EXPORT_FORMATS[document.getElementById("export-format").value] || EXPORT_FORMATS.markdown;
+    download(format.file, format.build(state), format.type);
   });
 
-  function onFilterChange() { reload(); }
+  function onFilterChange() { update(); }
   qInput.addEventListener("input", () => {
     clearTimeout(window.__qT);
     window.__qT = setTimeout(onFilterChange, 120);
@@ -269,8 +1442,11 @@ async function main() {
   tagSel.addEventListener("change", onFilterChange);
   statusSel.addEventListener("change", onFilterChange);
   sourceSel.addEventListener("change", onFilterChange);
+  sprintSel.addEventListener("change", onFilterChange);
+  groupSel.addEventListener("change", onFilterChange);
 
   await reload();
+  connectLive();
 }
 
 main();